@@ -1,33 +1,283 @@
 import * as vscode from 'vscode';
+import * as crypto from 'crypto';
+import * as os from 'os';
+import * as childProcess from 'child_process';
+import * as http from 'http';
+import * as https from 'https';
 
-const SKILLS = [
-  { id: 'caffeine_tolerance', name: 'Caffeine Tolerance', description: 'Coffee restores 50% more energy', cost: 50 },
-  { id: 'iron_focus', name: 'Iron Focus', description: 'Focus decays 30% slower', cost: 75 },
-  { id: 'bug_slayer', name: 'Bug Slayer', description: 'Earn 2x XP when fixing bugs', cost: 100 }
+type SkillBranch = 'caffeine' | 'focus' | 'debugging' | 'git';
+
+/**
+ * Everything skills, equipment and consumables can modify. Each one is a multiplier that starts at 1.
+ */
+type StatEffect =
+  'coffeeEnergy' | 'coffeeFocus' | 'energyDecay' | 'focusDecay' | 'motivationDecay' | 'flowXp' |
+  'fixXp' | 'bugHuntXp' | 'debugDrain' | 'taskXp' | 'commitXp' | 'gitXp' | 'commitBeans' |
+  'focusLoss'; // Focus lost to context switches, long pauses, new errors and red builds
+
+const STAT_EFFECTS: StatEffect[] = [
+  'coffeeEnergy', 'coffeeFocus', 'energyDecay', 'focusDecay', 'motivationDecay', 'flowXp',
+  'fixXp', 'bugHuntXp', 'debugDrain', 'taskXp', 'commitXp', 'gitXp', 'commitBeans', 'focusLoss'
+];
+
+/**
+ * A node in the skill tree. Every rank adds its `effects` once more to the multipliers
+ * and costs the next entry of `costs`. A node needs its prerequisites learned (rank 1+)
+ * and the developer to have reached `minLevel`.
+ */
+interface SkillNode {
+  id: string;
+  name: string;
+  branch: SkillBranch;
+  tier: number;        // Row in the tree, 1 at the root
+  description: string; // Effect of a single rank
+  costs: number[];     // Bean cost of each rank; its length is the max rank
+  minLevel: number;
+  requires: string[];
+  effects: Partial<Record<StatEffect, number>>; // Added to the multiplier per rank
+}
+
+const SKILL_BRANCHES: { id: SkillBranch; name: string; emoji: string }[] = [
+  { id: 'caffeine', name: 'Caffeine', emoji: '☕' },
+  { id: 'focus', name: 'Focus', emoji: '🎯' },
+  { id: 'debugging', name: 'Debugging', emoji: '🐞' },
+  { id: 'git', name: 'Git', emoji: '🌿' }
+];
+
+const SKILLS: SkillNode[] = [
+  { id: 'caffeine_tolerance', name: 'Caffeine Tolerance', branch: 'caffeine', tier: 1, description: 'Coffee restores 17% more energy', costs: [20, 35, 50], minLevel: 1, requires: [], effects: { coffeeEnergy: 0.17 } },
+  { id: 'decaf_discipline', name: 'Decaf Discipline', branch: 'caffeine', tier: 2, description: 'Energy decays 8% slower', costs: [40, 60, 80], minLevel: 5, requires: ['caffeine_tolerance'], effects: { energyDecay: -0.08 } },
+  { id: 'espresso_shot', name: 'Espresso Shot', branch: 'caffeine', tier: 3, description: 'Coffee restores 50% more focus', costs: [100, 150], minLevel: 10, requires: ['decaf_discipline'], effects: { coffeeFocus: 0.5 } },
+  { id: 'iron_focus', name: 'Iron Focus', branch: 'focus', tier: 1, description: 'Focus decays 10% slower', costs: [25, 40, 60], minLevel: 1, requires: [], effects: { focusDecay: -0.1 } },
+  { id: 'deep_work', name: 'Deep Work', branch: 'focus', tier: 2, description: 'Flow XP bonus is 15% stronger', costs: [60, 90], minLevel: 5, requires: ['iron_focus'], effects: { flowXp: 0.15 } },
+  { id: 'zen_mode', name: 'Zen Mode', branch: 'focus', tier: 3, description: 'Motivation decays 30% slower', costs: [150], minLevel: 10, requires: ['deep_work'], effects: { motivationDecay: -0.3 } },
+  { id: 'bug_slayer', name: 'Bug Slayer', branch: 'debugging', tier: 1, description: 'Fixing errors and fix: commits earn 34% more XP', costs: [30, 50, 70], minLevel: 1, requires: [], effects: { fixXp: 0.34 } },
+  { id: 'debugger_instinct', name: 'Debugger Instinct', branch: 'debugging', tier: 2, description: 'Bug hunts earn 50% more XP and long debug sessions drain 25% less energy', costs: [40, 60], minLevel: 3, requires: ['bug_slayer'], effects: { bugHuntXp: 0.5, debugDrain: -0.25 } },
+  { id: 'test_whisperer', name: 'Test Whisperer', branch: 'debugging', tier: 3, description: 'Green build and test runs earn 50% more XP', costs: [80, 120], minLevel: 8, requires: ['debugger_instinct'], effects: { taskXp: 0.5 } },
+  { id: 'commit_craft', name: 'Commit Craft', branch: 'git', tier: 1, description: 'Commits earn 10% more XP', costs: [30, 50, 70], minLevel: 1, requires: [], effects: { commitXp: 0.1 } },
+  { id: 'merge_master', name: 'Merge Master', branch: 'git', tier: 2, description: 'Merges, rebases, pulls and other git events earn 50% more XP', costs: [50, 80], minLevel: 4, requires: ['commit_craft'], effects: { gitXp: 0.5 } },
+  { id: 'release_manager', name: 'Release Manager', branch: 'git', tier: 3, description: 'Commits pay double beans', costs: [150], minLevel: 8, requires: ['merge_master'], effects: { commitBeans: 1 } }
+];
+
+/** A respec refunds every bean spent on skills, minus this fee. */
+const SKILL_RESPEC = { feeShare: 0.25, minFee: 20 };
+
+/**
+ * Combines learned skill ranks, equipped items and running consumables into one
+ * multiplier for an effect (never below 0).
+ */
+function getEffectMultiplier(dev: ProgrammerStats, effect: StatEffect, catalog: ContentCatalog, now: number = Date.now()): number {
+  let multiplier = 1;
+  for (const node of catalog.skills) {
+    const rank = dev.skills[node.id] || 0;
+    if (rank > 0 && node.effects[effect] !== undefined) multiplier += rank * node.effects[effect]!;
+  }
+  const activeItems = [
+    ...Object.values(dev.equipped),
+    ...dev.activeEffects.filter(e => e.expiresAt > now).map(e => e.itemId)
+  ];
+  for (const itemId of activeItems) {
+    const bonus = catalog.items.find(i => i.id === itemId)?.effects?.[effect];
+    if (bonus !== undefined) multiplier += bonus;
+  }
+  return Math.max(0, multiplier);
+}
+
+/**
+ * Beans spent on the learned ranks, and the fee for refunding them. Ranks in skills from
+ * content packs that aren't loaded can't be priced, so they are left out.
+ */
+function getRespecCosts(skills: Record<string, number>, catalog: ContentCatalog): { spent: number; fee: number } {
+  const spent = catalog.skills.reduce((sum, node) => sum + node.costs.slice(0, skills[node.id] || 0).reduce((a, b) => a + b, 0), 0);
+  return { spent, fee: Math.max(SKILL_RESPEC.minFee, Math.round(spent * SKILL_RESPEC.feeShare)) };
+}
+
+type EquipSlot = 'skin' | 'desk' | 'chair' | 'accessory';
+
+/**
+ * Something sold in the shop. Equipment goes into its slot (`type`) and only applies
+ * its effects while equipped. Consumables stack and apply their effects for a while
+ * after being used, plus an optional one-off stat boost.
+ */
+interface ShopItem {
+  id: string;
+  name: string;
+  type: EquipSlot | 'consumable';
+  description: string;
+  cost: number;
+  emoji?: string;
+  effects?: Partial<Record<StatEffect, number>>; // Added to the multiplier while active
+  durationMinutes?: number;                      // Consumables: how long the effects last
+  restore?: { energy?: number; focus?: number; motivation?: number }; // Consumables: instant boost
+}
+
+const EQUIP_SLOTS: { id: EquipSlot; name: string }[] = [
+  { id: 'skin', name: 'Skin' },
+  { id: 'desk', name: 'Desk' },
+  { id: 'chair', name: 'Chair' },
+  { id: 'accessory', name: 'Accessory' }
 ];
 
-const SHOP_ITEMS = [
+const DEFAULT_ROLE = '👨‍💻';
+
+const SHOP_ITEMS: ShopItem[] = [
   { id: 'skin_suit', name: 'Business Suit', type: 'skin', description: 'Dress for success', cost: 150, emoji: '🕴️' },
   { id: 'skin_space', name: 'Space Suit', type: 'skin', description: 'Code in zero-g', cost: 300, emoji: '👨‍🚀' },
-  { id: 'furn_chair', name: 'Ergo Chair', type: 'furniture', description: 'Energy decays 15% slower', cost: 200 },
-  { id: 'acc_keyboard', name: 'Mech Keyboard', type: 'accessory', description: 'Motivation decays 15% slower', cost: 250 }
+  { id: 'desk_plant', name: 'Desk Plant', type: 'desk', description: 'Motivation decays 10% slower', cost: 120, emoji: '🪴', effects: { motivationDecay: -0.1 } },
+  { id: 'desk_standing', name: 'Standing Desk', type: 'desk', description: 'Focus decays 10% slower', cost: 250, emoji: '🧍', effects: { focusDecay: -0.1 } },
+  { id: 'furn_chair', name: 'Ergo Chair', type: 'chair', description: 'Energy decays 15% slower', cost: 200, emoji: '🪑', effects: { energyDecay: -0.15 } },
+  { id: 'chair_gaming', name: 'Gaming Chair', type: 'chair', description: 'Flow XP bonus is 20% stronger', cost: 350, emoji: '🎮', effects: { flowXp: 0.2 } },
+  { id: 'acc_keyboard', name: 'Mech Keyboard', type: 'accessory', description: 'Motivation decays 15% slower', cost: 250, emoji: '⌨️', effects: { motivationDecay: -0.15 } },
+  { id: 'acc_rubber_duck', name: 'Rubber Duck', type: 'accessory', description: 'Bug hunts earn 25% more XP', cost: 180, emoji: '🦆', effects: { bugHuntXp: 0.25 } },
+  { id: 'cons_energy_drink', name: 'Energy Drink', type: 'consumable', description: '+15 Energy, then energy decays 50% slower for 2 hours', cost: 25, emoji: '🥤', effects: { energyDecay: -0.5 }, durationMinutes: 120, restore: { energy: 15 } },
+  { id: 'cons_headphones', name: 'Noise-Cancelling Headphones', type: 'consumable', description: 'Focus shield: no focus loss of any kind for 1 hour', cost: 40, emoji: '🎧', effects: { focusDecay: -1, focusLoss: -1 }, durationMinutes: 60 }
+];
+
+/**
+ * User-tunable settings read from the `devgotchi.*` configuration namespace.
+ */
+interface DevGotchiSettings {
+  energyDecay: number;     // Energy lost per hour
+  motivationDecay: number; // Motivation lost per hour
+  focusDecay: number;      // Focus lost per hour
+  nightModeEnabled: boolean;
+  nightStartHour: number;  // Hour (0-23) the developer goes to sleep
+  nightEndHour: number;    // Hour (0-23) the developer wakes up
+  saveXp: number;
+  saveBeans: number;
+  commitXp: number;
+  commitBeans: number;
+  ignoreAutoSave: boolean; // Saves from files.autoSave pay nothing
+  leaderboardLocation: string; // Shared folder path or HTTP endpoint; empty disables the board
+  historyRetentionDays: number;
+  flowMinStreakMinutes: number; // Uninterrupted typing needed before flow kicks in
+  flowXpMultiplier: number;
+  idleMinutes: number;     // No interaction for this long counts as idle
+  awayMinutes: number;     // No interaction for this long counts as away
+  pomodoroWorkMinutes: number;
+  pomodoroBreakMinutes: number;
+  pomodoroLongBreakMinutes: number;
+  pomodoroLongBreakEvery: number; // Work sessions in a row before a long break
+  quizPackFolders: string[]; // Extra folders with quiz packs
+  questSeed: string;       // Shared seed so a team rolls the same quests; empty for personal quests
+  goalWeeklyBudget: number; // Beans per week that custom goal rewards can be paid from
+}
+
+/**
+ * Reads the current settings. Called on every use so changes apply without a reload.
+ */
+function getSettings(): DevGotchiSettings {
+  const config = vscode.workspace.getConfiguration('devgotchi');
+  return {
+    energyDecay: config.get<number>('decay.energyPerHour', 4),
+    motivationDecay: config.get<number>('decay.motivationPerHour', 2),
+    focusDecay: config.get<number>('decay.focusPerHour', 3),
+    nightModeEnabled: config.get<boolean>('nightMode.enabled', true),
+    nightStartHour: config.get<number>('nightMode.startHour', 22),
+    nightEndHour: config.get<number>('nightMode.endHour', 6),
+    saveXp: config.get<number>('rewards.saveXp', 3),
+    saveBeans: config.get<number>('rewards.saveBeans', 1),
+    commitXp: config.get<number>('rewards.commitXp', 50),
+    commitBeans: config.get<number>('rewards.commitBeans', 5),
+    ignoreAutoSave: config.get<boolean>('rewards.ignoreAutoSave', true),
+    leaderboardLocation: config.get<string>('leaderboard.location', ''),
+    historyRetentionDays: config.get<number>('history.retentionDays', 90),
+    flowMinStreakMinutes: config.get<number>('flow.minStreakMinutes', 10),
+    flowXpMultiplier: config.get<number>('flow.xpMultiplier', 1.5),
+    idleMinutes: config.get<number>('presence.idleMinutes', 5),
+    awayMinutes: config.get<number>('presence.awayMinutes', 30),
+    pomodoroWorkMinutes: config.get<number>('pomodoro.workMinutes', 25),
+    pomodoroBreakMinutes: config.get<number>('pomodoro.breakMinutes', 5),
+    pomodoroLongBreakMinutes: config.get<number>('pomodoro.longBreakMinutes', 15),
+    pomodoroLongBreakEvery: config.get<number>('pomodoro.longBreakEvery', 4),
+    quizPackFolders: config.get<string[]>('quiz.packFolders', []),
+    questSeed: config.get<string>('quests.seed', ''),
+    goalWeeklyBudget: config.get<number>('goals.weeklyBudget', 100)
+  };
+}
+
+/**
+ * Checks whether an hour falls inside the configured sleeping window.
+ * Windows that wrap past midnight (e.g. 22 -> 6) are supported.
+ */
+function isNightHour(hour: number, settings: DevGotchiSettings): boolean {
+  if (!settings.nightModeEnabled) return false;
+  const { nightStartHour: start, nightEndHour: end } = settings;
+  if (start === end) return false;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * Lifetime counters used by achievements. Unlike quests these never reset.
+ */
+interface LifetimeStats {
+  saves: number;
+  commits: number;
+  bugsFixed: number;
+  gamesPlayed: number;
+  bestBossTimeMs?: number; // Fastest Boss Battle victory
+}
+
+/**
+ * A collectible milestone. `check` is evaluated whenever the developer is saved;
+ * functions are dropped when the catalog is serialized into the webview.
+ */
+interface Achievement {
+  id: string;
+  name: string;
+  description: string;
+  emoji: string;
+  reward: number;      // Coffee beans paid out on unlock
+  check: (dev: ProgrammerStats, catalog: ContentCatalog) => boolean;
+}
+
+const ACHIEVEMENTS: Achievement[] = [
+  { id: 'first_commit', name: 'Hello, Git', description: 'Make your first commit', emoji: '🌱', reward: 10, check: d => d.lifetime.commits >= 1 },
+  { id: 'commits_100', name: 'Centurion', description: 'Make 100 commits', emoji: '📦', reward: 100, check: d => d.lifetime.commits >= 100 },
+  { id: 'first_fix', name: 'Exterminator', description: 'Fix your first error', emoji: '🪲', reward: 5, check: d => d.lifetime.bugsFixed >= 1 },
+  { id: 'bugs_100', name: 'Bug Squasher', description: 'Squash 100 bugs', emoji: '🐛', reward: 75, check: d => d.lifetime.bugsFixed >= 100 },
+  { id: 'saves_1000', name: 'Ctrl+S Reflex', description: 'Save 1000 files', emoji: '💾', reward: 50, check: d => d.lifetime.saves >= 1000 },
+  { id: 'streak_7', name: 'Week Warrior', description: 'Reach a 7-day login streak', emoji: '📅', reward: 25, check: d => (d.streak || 0) >= 7 },
+  { id: 'streak_30', name: 'Habit Formed', description: 'Reach a 30-day login streak', emoji: '🗓️', reward: 150, check: d => (d.streak || 0) >= 30 },
+  { id: 'quest_streak_7', name: 'Questaholic', description: 'Complete all daily quests 7 days in a row', emoji: '📜', reward: 60, check: d => (d.questStreak || 0) >= 7 },
+  { id: 'level_5', name: 'Mid-Level', description: 'Reach level 5', emoji: '🧑‍💻', reward: 20, check: d => d.level >= 5 },
+  { id: 'level_10', name: 'Senior Dev', description: 'Reach level 10', emoji: '🧙', reward: 50, check: d => d.level >= 10 },
+  { id: 'level_25', name: 'Principal', description: 'Reach level 25', emoji: '👑', reward: 200, check: d => d.level >= 25 },
+  { id: 'boss_speedrun', name: 'Speedrunner', description: 'Beat the Boss Battle in under 20 seconds', emoji: '⏱️', reward: 100, check: d => d.lifetime.bestBossTimeMs !== undefined && d.lifetime.bestBossTimeMs < 20000 },
+  { id: 'all_skins', name: 'Fashionista', description: 'Own every skin', emoji: '👔', reward: 50, check: (d, catalog) => catalog.items.filter(i => i.type === 'skin').every(i => d.inventory.includes(i.id)) },
+  { id: 'all_skills', name: 'Skill Maxed', description: 'Unlock every skill', emoji: '⚡', reward: 75, check: (d, catalog) => catalog.skills.every(sk => (d.skills[sk.id] || 0) > 0) }
 ];
 
 interface Quest {
   id: string;
   description: string;
-  type: 'save' | 'commit' | 'fix' | 'time';
+  type: 'save' | 'commit' | 'fix' | 'time' | 'pomodoro' | 'test' | 'debug' | 'manual'; // Manual quests are ticked off by hand
+  commitType?: string; // Only count commits with this Conventional Commit type
+  chainId?: string;    // Set on the current step of a quest chain
+  filter?: GoalFilter; // Custom goals only: which files count
+  deadline?: number;   // Custom goals only: when the goal expires
+  createdAt?: number;  // Custom goals only: when the goal was created
   target: number;
   progress: number;
   reward: number;
   completed: boolean;
 }
 
+/**
+ * Limits a custom goal to events in matching files. Every field that is set must match.
+ */
+interface GoalFilter {
+  glob?: string;     // Workspace-relative glob, e.g. "payments/**"
+  language?: string; // VS Code language id
+  file?: string;     // Workspace-relative path of a single file
+}
+
 /**
  * Interface representing the state of the digital developer avatar.
  * Tracks attributes like energy, motivation, and game progress.
  */
 interface ProgrammerStats {
+  schemaVersion: number; // Save format version, see SAVE_MIGRATIONS
   energy: number;      // 0-100: Determines tiredness
   motivation: number;  // 0-100: Affects mood
   focus: number;       // 0-100: Mental sharpness
@@ -35,135 +285,2313 @@ interface ProgrammerStats {
   xp: number;          // Current experience points
   level: number;       // Current RPG level
   lastUpdated: number; // Timestamp of last stats calculation
-  mood: 'productive' | 'neutral' | 'stressed' | 'tired' | 'burnt-out' | 'caffeinated' | 'sleeping';
+  mood: 'productive' | 'neutral' | 'stressed' | 'tired' | 'burnt-out' | 'caffeinated' | 'sleeping' | 'flow';
   role: string;        // Display role (emoji)
   name: string;        // Name of the developer
   coffee: number;      // Currency for buying actions
-  skills: string[];    // Unlocked skills
-  inventory: string[]; // Owned shop items
+  skills: Record<string, number>; // Learned skill ranks by skill id
+  inventory: string[]; // Owned equipment
+  equipped: Partial<Record<EquipSlot, string>>; // Item id worn in each slot
+  consumables: Record<string, number>;           // Stack count per consumable id
+  activeEffects: { itemId: string; expiresAt: number }[]; // Consumables in use
   lastDailyBonus?: number; // Timestamp of last daily reward
   streak?: number;     // Current daily login streak
   quests: Quest[];     // Active daily quests
   questStreak?: number; // Streak for completing all daily quests
   dailyQuestsCompleted?: boolean; // Whether today's quests are done
+  dailyQuestsDay: string; // Local day (getDayKey) the daily quests were rolled for
+  questRerolls: number; // Daily quests rerolled today, raises the next reroll's price
+  weeklyQuests: Quest[];
+  weeklyQuestsStart: number; // weekStart the weekly quests were rolled for
+  chainQuests: Quest[];      // Current step of every unfinished quest chain
+  chainSteps: Record<string, number>; // Finished steps per chain id
+  goals: Quest[];      // Custom goals created by the user
+  goalBudget: { weekStart: number; spent: number }; // Goal rewards reserved this week
   tutorialCompleted?: boolean; // Has the user seen the tutorial?
+  profileId: string;   // Stable id used when publishing to the team leaderboard
+  weeklyXp: number;    // XP earned since weekStart
+  weekStart: number;   // Timestamp of the Monday that started the current week
+  achievements: string[]; // Unlocked achievement ids
+  lifetime: LifetimeStats;
+  gameRewards: { day: string; counts: Record<string, number> }; // Rewarded mini-game plays per game today
+  languageEdits: Record<string, number>; // Edits per VS Code language id
+  speedTestBests: Record<string, { wpm: number; accuracy: number }>; // Best Speed Test per language id
 }
 
 /**
- * Extension activation entry point.
- * Initializes the game manager, status bar, and event listeners.
+ * Public profile published to the team leaderboard.
  */
-export function activate(context: vscode.ExtensionContext) {
-  const devManager = new DeveloperManager(context);
-  
-  // Create and configure the status bar item
-  const statusBarItem = vscode.window.createStatusBarItem(
-    vscode.StatusBarAlignment.Right,
-    100
-  );
-  statusBarItem.command = 'devgotchi.openPanel';
-  context.subscriptions.push(statusBarItem);
-  
-  /**
-   * Updates the status bar text and tooltip with current stats.
-   */
-  const updateStatusBar = () => {
-    const dev = devManager.getDeveloper();
-    const emoji = getMoodEmoji(dev.mood);
-    statusBarItem.text = `${emoji} ${dev.name} Lv${dev.level}`;
-    statusBarItem.tooltip = `💪 ${Math.round(dev.health)}% | 🔥 ${Math.round(dev.motivation)}% | 🧠 ${Math.round(dev.focus)}% | ☕ ${dev.coffee}`;
-    statusBarItem.show();
+interface LeaderboardProfile {
+  id: string;
+  name: string;
+  role: string;
+  level: number;
+  totalXp: number;     // XP earned across all levels
+  streak: number;
+  weeklyXp: number;
+  weekStart: number;
+  updatedAt: number;
+}
+
+/**
+ * A snapshot of the primary stats, taken periodically for the history charts.
+ */
+interface StatSample {
+  time: number;
+  energy: number;
+  motivation: number;
+  focus: number;
+  health: number;
+}
+
+/**
+ * Activity totals for a single local calendar day.
+ */
+interface HistoryDay {
+  date: string;        // Local date as YYYY-MM-DD
+  xp: number;
+  saves: number;
+  commits: number;
+  bugsFixed: number;
+  samples: StatSample[];
+}
+
+type HistoryCounter = 'xp' | 'saves' | 'commits' | 'bugsFixed';
+
+/**
+ * Formats a duration as e.g. "2h 5m" or "12m".
+ */
+function formatDuration(ms: number): string {
+  const totalMinutes = Math.round(ms / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+/**
+ * Returns the local calendar date of `time` as YYYY-MM-DD.
+ */
+function getDayKey(time: number): string {
+  const date = new Date(time);
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Returns the timestamp of local Monday 00:00 for the week containing `time`.
+ */
+function getWeekStart(time: number): number {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.getTime();
+}
+
+/**
+ * Creates the state of a brand new developer. Shared by first launch and reset.
+ */
+export function createDefaultDeveloper(): ProgrammerStats {
+  return {
+    schemaVersion: SAVE_MIGRATIONS.length,
+    energy: 100,
+    motivation: 100,
+    focus: 100,
+    health: 100,
+    xp: 0,
+    level: 1,
+    lastUpdated: Date.now(),
+    mood: 'productive',
+    role: DEFAULT_ROLE,
+    name: 'Dev',
+    coffee: 50,
+    skills: {},
+    inventory: [],
+    equipped: {},
+    consumables: {},
+    activeEffects: [],
+    lastDailyBonus: 0,
+    streak: 0,
+    quests: [],
+    questStreak: 0,
+    dailyQuestsCompleted: false,
+    dailyQuestsDay: '',
+    questRerolls: 0,
+    weeklyQuests: [],
+    weeklyQuestsStart: 0,
+    chainQuests: [],
+    chainSteps: {},
+    goals: [],
+    goalBudget: { weekStart: getWeekStart(Date.now()), spent: 0 },
+    tutorialCompleted: false,
+    profileId: crypto.randomUUID(),
+    weeklyXp: 0,
+    weekStart: getWeekStart(Date.now()),
+    achievements: [],
+    lifetime: { saves: 0, commits: 0, bugsFixed: 0, gamesPlayed: 0 },
+    gameRewards: { day: getDayKey(Date.now()), counts: {} },
+    languageEdits: {},
+    speedTestBests: {}
   };
-  
-  // Initial status bar update
-  updateStatusBar();
-  
-  // Register the command to open the main webview panel
-  context.subscriptions.push(
-    vscode.commands.registerCommand('devgotchi.openPanel', () => {
-      DeveloperPanel.createOrShow(context.extensionUri, devManager);
-    })
-  );
-  
-  // Register command to reset progress
-  context.subscriptions.push(
-    vscode.commands.registerCommand('devgotchi.resetProgress', async () => {
-      await devManager.resetProgress();
-      DeveloperPanel.currentPanel?.updateDeveloper();
-    })
-  );
-  
-  // Listen for file saves to reward the user
-  context.subscriptions.push(
-    vscode.workspace.onDidSaveTextDocument(() => {
-      devManager.onCodeSaved();
-      updateStatusBar();
-    })
-  );
-  
-  // The "Passive Loop": Update stats every 30 seconds
-  const interval = setInterval(() => {
-    devManager.updateStats();
-    updateStatusBar();
-    DeveloperPanel.currentPanel?.updateDeveloper();
-  }, 30000);
-  
-  context.subscriptions.push({
-    dispose: () => clearInterval(interval)
+}
+
+/**
+ * Ordered save migrations. The step at index N upgrades a save from
+ * schemaVersion N to N + 1, so the current version is the length of this list.
+ * Steps must only ever be appended, never edited or reordered.
+ */
+export const SAVE_MIGRATIONS: ((save: any) => void)[] = [
+  // 0 -> 1: Unversioned saves. Fill in fields added after the first release.
+  save => {
+    if (!Array.isArray(save.inventory)) save.inventory = [];
+    if (!Array.isArray(save.skills)) save.skills = [];
+    if (!Array.isArray(save.quests)) save.quests = [];
+    if (typeof save.lastDailyBonus !== 'number') save.lastDailyBonus = 0;
+    if (typeof save.streak !== 'number') save.streak = 0;
+    if (typeof save.questStreak !== 'number') save.questStreak = 0;
+    if (typeof save.dailyQuestsCompleted !== 'boolean') save.dailyQuestsCompleted = false;
+    // Saves written by the old reset dropped this flag; only a fresh developer still needs the tour
+    if (typeof save.tutorialCompleted !== 'boolean') save.tutorialCompleted = save.level > 1 || save.xp > 0;
+  },
+  // 1 -> 2: Team leaderboard identity and weekly XP tracking.
+  save => {
+    save.profileId = crypto.randomUUID();
+    save.weeklyXp = 0;
+    save.weekStart = getWeekStart(Date.now());
+  },
+  // 2 -> 3: Achievements and the lifetime counters they are based on.
+  save => {
+    save.achievements = [];
+    save.lifetime = { saves: 0, commits: 0, bugsFixed: 0, gamesPlayed: 0 };
+  },
+  // 3 -> 4: Per-game daily reward limits.
+  save => {
+    save.gameRewards = { day: getDayKey(Date.now()), counts: {} };
+  },
+  // 4 -> 5: Languages the user edits, and Speed Test personal bests per language.
+  save => {
+    save.languageEdits = {};
+    save.speedTestBests = {};
+  },
+  // 5 -> 6: Skill tree with ranks. The old one-off skills become their nodes at full rank,
+  // which matches or beats what they did before.
+  save => {
+    const ranks: Record<string, number> = {};
+    for (const id of save.skills as string[]) {
+      const node = SKILLS.find(sk => sk.id === id);
+      if (node) ranks[id] = node.costs.length;
+    }
+    save.skills = ranks;
+  },
+  // 6 -> 7: Equipment slots and consumables. Owned furniture and accessories used to apply
+  // just by being owned, so they start out equipped.
+  save => {
+    save.equipped = {};
+    const skin = SHOP_ITEMS.find(i => i.type === 'skin' && i.emoji === save.role && save.inventory.includes(i.id));
+    if (skin) save.equipped.skin = skin.id;
+    if (save.inventory.includes('furn_chair')) save.equipped.chair = 'furn_chair';
+    if (save.inventory.includes('acc_keyboard')) save.equipped.accessory = 'acc_keyboard';
+    save.consumables = {};
+    save.activeEffects = [];
+  },
+  // 7 -> 8: Weekly quests, quest chains and paid rerolls. Both quest lists are rolled on the next tick.
+  save => {
+    save.questRerolls = 0;
+    save.weeklyQuests = [];
+    save.weeklyQuestsStart = 0;
+    save.chainQuests = [];
+    save.chainSteps = {};
+  },
+  // 8 -> 9: Custom goals and the weekly bean budget their rewards come from.
+  save => {
+    save.goals = [];
+    save.goalBudget = { weekStart: getWeekStart(Date.now()), spent: 0 };
+  },
+  // 9 -> 10: Daily quests roll with the calendar day instead of the login bonus. The current
+  // ones were rolled along with the last bonus.
+  save => {
+    save.dailyQuestsDay = save.lastDailyBonus > 0 ? getDayKey(save.lastDailyBonus) : '';
+  }
+];
+
+/**
+ * Upgrades a stored save to the current schema by running every pending migration in order.
+ * Saves from a newer version of the extension are returned untouched.
+ */
+export function migrateDeveloper(saved: any): ProgrammerStats {
+  let version = typeof saved.schemaVersion === 'number' ? saved.schemaVersion : 0;
+  while (version < SAVE_MIGRATIONS.length) {
+    SAVE_MIGRATIONS[version](saved);
+    version++;
+    saved.schemaVersion = version;
+  }
+  return saved as ProgrammerStats;
+}
+
+const MOODS: ProgrammerStats['mood'][] = ['productive', 'neutral', 'stressed', 'tired', 'burnt-out', 'caffeinated', 'sleeping', 'flow'];
+const QUEST_TYPES: Quest['type'][] = ['save', 'commit', 'fix', 'time', 'pomodoro', 'test', 'debug', 'manual'];
+
+/**
+ * A quest the daily roll can pick. `commitType` limits commit quests to one Conventional Commit type.
+ */
+interface QuestTemplate {
+  type: Quest['type'];
+  desc: string;
+  target: number;
+  reward: number;
+  commitType?: string;
+}
+
+const QUEST_TEMPLATES: QuestTemplate[] = [
+  { type: 'save', desc: 'Save Master: Save 30 files', target: 30, reward: 15 },
+  { type: 'save', desc: 'Typing Machine: Save 50 files', target: 50, reward: 25 },
+  { type: 'commit', desc: 'Committer: Push 2 commits', target: 2, reward: 30 },
+  { type: 'commit', desc: 'Ship It: Push 5 commits', target: 5, reward: 60 },
+  { type: 'commit', commitType: 'feat', desc: 'Feature Factory: Land 2 feat: commits', target: 2, reward: 40 },
+  { type: 'commit', commitType: 'fix', desc: 'Patch Day: Land 3 fix: commits', target: 3, reward: 40 },
+  { type: 'commit', commitType: 'test', desc: 'Test Pilot: Land 2 test: commits', target: 2, reward: 35 },
+  { type: 'commit', commitType: 'docs', desc: 'Scribe: Land a docs: commit', target: 1, reward: 20 },
+  { type: 'fix', desc: 'Bug Zapper: Fix 3 errors', target: 3, reward: 20 },
+  { type: 'fix', desc: 'Quality Control: Fix 10 errors', target: 10, reward: 50 },
+  { type: 'time', desc: 'Deep Work: Code for 30 minutes', target: 30, reward: 20 },
+  { type: 'time', desc: 'Marathon: Code for 60 minutes', target: 60, reward: 45 },
+  { type: 'pomodoro', desc: 'Tomato Timer: Complete 2 pomodoros in a row', target: 2, reward: 25 },
+  { type: 'pomodoro', desc: 'Pomodoro Pro: Complete 4 pomodoros in a row', target: 4, reward: 50 },
+  { type: 'test', desc: 'Green Bar: Pass 3 test runs', target: 3, reward: 20 },
+  { type: 'test', desc: 'Test Driven: Pass 10 test runs', target: 10, reward: 45 },
+  { type: 'debug', desc: 'Bug Hunter: Fix an error during a debug session', target: 1, reward: 20 },
+  { type: 'debug', desc: 'Exterminator: Win 3 bug hunts', target: 3, reward: 50 }
+];
+
+/**
+ * Bigger goals that last from Monday to Sunday. Pomodoro quests are left out because
+ * their runs reset whenever a break is skipped.
+ */
+const WEEKLY_QUEST_TEMPLATES: QuestTemplate[] = [
+  { type: 'save', desc: 'Save Storm: Save 250 files this week', target: 250, reward: 80 },
+  { type: 'commit', desc: 'Shipping Week: Push 20 commits this week', target: 20, reward: 120 },
+  { type: 'commit', commitType: 'feat', desc: 'Feature Week: Land 8 feat: commits this week', target: 8, reward: 120 },
+  { type: 'fix', desc: 'Spring Cleaning: Fix 40 errors this week', target: 40, reward: 120 },
+  { type: 'time', desc: 'Full Week: Code for 10 hours this week', target: 600, reward: 150 },
+  { type: 'test', desc: 'Always Green: Pass 30 test runs this week', target: 30, reward: 100 },
+  { type: 'debug', desc: 'Pest Control: Win 5 bug hunts this week', target: 5, reward: 100 }
+];
+
+const WEEKLY_QUEST_COUNT = 2;
+
+/**
+ * A series of quests taken one at a time. Finishing a step unlocks the next, and
+ * finishing the last pays `bonus` on top of the step rewards.
+ */
+interface QuestChain {
+  id: string;
+  name: string;
+  emoji: string;
+  bonus: number;
+  steps: QuestTemplate[];
+}
+
+const QUEST_CHAINS: QuestChain[] = [
+  {
+    id: 'bug_bounty', name: 'Bug Bounty', emoji: '🐛', bonus: 100, steps: [
+      { type: 'fix', desc: 'Bug Bounty I: Fix 5 errors', target: 5, reward: 25 },
+      { type: 'debug', desc: 'Bug Bounty II: Win 2 bug hunts', target: 2, reward: 40 },
+      { type: 'fix', desc: 'Bug Bounty III: Fix 25 errors', target: 25, reward: 80 }
+    ]
+  },
+  {
+    id: 'release_train', name: 'Release Train', emoji: '🚂', bonus: 120, steps: [
+      { type: 'commit', commitType: 'feat', desc: 'Release Train I: Land a feat: commit', target: 1, reward: 20 },
+      { type: 'test', desc: 'Release Train II: Pass 5 test runs', target: 5, reward: 40 },
+      { type: 'commit', desc: 'Release Train III: Push 10 commits', target: 10, reward: 80 }
+    ]
+  },
+  {
+    id: 'deep_focus', name: 'Deep Focus', emoji: '🧘', bonus: 100, steps: [
+      { type: 'time', desc: 'Deep Focus I: Code for 60 minutes', target: 60, reward: 30 },
+      { type: 'pomodoro', desc: 'Deep Focus II: Complete 3 pomodoros in a row', target: 3, reward: 45 },
+      { type: 'time', desc: 'Deep Focus III: Code for 5 hours', target: 300, reward: 100 }
+    ]
+  }
+];
+
+/**
+ * Rerolling a daily quest costs `baseCost` beans, plus `costStep` for every reroll already made that day.
+ */
+const QUEST_REROLL = { baseCost: 15, costStep: 10 };
+
+function getRerollCost(rerollsToday: number): number {
+  return QUEST_REROLL.baseCost + QUEST_REROLL.costStep * rerollsToday;
+}
+
+function createQuest(template: QuestTemplate, id: string, chainId?: string): Quest {
+  return {
+    id,
+    description: template.desc,
+    type: template.type,
+    ...(template.commitType ? { commitType: template.commitType } : {}),
+    ...(chainId ? { chainId } : {}),
+    target: template.target,
+    progress: 0,
+    reward: template.reward,
+    completed: false
+  };
+}
+
+/**
+ * Deterministic random numbers in [0, 1) from a string seed (mulberry32). Teammates who
+ * share `devgotchi.quests.seed` roll the same quests.
+ */
+function createSeededRandom(seed: string): () => number {
+  let state = crypto.createHash('sha256').update(seed).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks `count` distinct items with a partial Fisher-Yates shuffle driven by `random`.
+ */
+function pickRandom<T>(items: T[], count: number, random: () => number): T[] {
+  const pool = [...items];
+  for (let i = 0; i < Math.min(count, pool.length); i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
+
+/** Event sources a custom goal can be built from. */
+const GOAL_SOURCES: Quest['type'][] = ['save', 'commit', 'fix', 'time', 'manual'];
+
+/**
+ * A file a quest event happened in, for matching custom goal filters.
+ */
+interface QuestEventFile {
+  path: string;        // Workspace-relative, with forward slashes
+  languageId?: string;
+}
+
+/**
+ * Describes a document for quest events.
+ */
+function toQuestEventFile(document: vscode.TextDocument): QuestEventFile {
+  return { path: vscode.workspace.asRelativePath(document.uri, false), languageId: document.languageId };
+}
+
+/**
+ * Guesses the language id of a path from its extension, for files that aren't open.
+ */
+function languageOfPath(path: string): string | undefined {
+  const ext = path.slice(path.lastIndexOf('.') + 1).toLowerCase();
+  return Object.keys(LANGUAGE_EXTENSIONS).find(language => LANGUAGE_EXTENSIONS[language].includes(ext));
+}
+
+/**
+ * Converts a glob with `*`, `**`, `?` and `{a,b}` to a regular expression over a whole path.
+ */
+export function globToRegExp(glob: string): RegExp {
+  let source = '';
+  let braces = 0; // Alternatives only exist inside {}
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no folder at all
+      if (glob[i + 2] === '/') { source += '(?:.*/)?'; i += 2; } else { source += '.*'; i++; }
+    } else if (c === '*') source += '[^/]*';
+    else if (c === '?') source += '[^/]';
+    else if (c === '{') { source += '(?:'; braces++; }
+    else if (c === '}' && braces > 0) { source += ')'; braces--; }
+    else if (c === ',' && braces > 0) source += '|';
+    else source += c.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+  }
+  // An unclosed brace matches nothing rather than producing an invalid pattern
+  if (braces > 0) return /$^/;
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether an event in `files` counts toward a goal with this filter. Events without
+ * files (like pomodoros) only count for goals without a filter.
+ */
+export function matchesGoalFilter(filter: GoalFilter | undefined, files: QuestEventFile[] | undefined): boolean {
+  if (!filter) return true;
+  if (!files) return false;
+  const glob = filter.glob ? globToRegExp(filter.glob) : undefined;
+  return files.some(f =>
+    (!glob || glob.test(f.path)) &&
+    (!filter.language || f.languageId === filter.language) &&
+    (!filter.file || f.path === filter.file));
+}
+
+/**
+ * Asks for everything a custom goal needs: what counts, where, how much, until when and
+ * for how many beans (at most `budget`). Resolves to undefined as soon as a prompt is cancelled.
+ */
+async function askForGoal(budget: number): Promise<Quest | undefined> {
+  const sources = [
+    { label: '$(save) Saves', description: 'Files you save', type: 'save', unit: 'saves' },
+    { label: '$(git-commit) Commits', description: 'Commits you author', type: 'commit', unit: 'commits' },
+    { label: '$(bug) Fixes', description: 'Errors you fix', type: 'fix', unit: 'errors fixed' },
+    { label: '$(clock) Active time', description: 'Minutes spent typing', type: 'time', unit: 'minutes' },
+    { label: '$(check) By hand', description: 'Tick it off yourself, like closing TODOs', type: 'manual', unit: 'times' }
+  ] as const;
+  const source = await vscode.window.showQuickPick(sources, { title: 'New Goal (1/6): What counts?' });
+  if (!source) return undefined;
+
+  let filter: GoalFilter | undefined;
+  if (source.type !== 'manual') {
+    const title = 'New Goal (2/6): Where?';
+    const editor = vscode.window.activeTextEditor;
+    const activePath = editor && vscode.workspace.asRelativePath(editor.document.uri, false);
+    const scopes = [
+      { label: 'Anywhere', scope: 'any' },
+      { label: 'Files matching a glob', description: 'e.g. payments/**', scope: 'glob' },
+      { label: 'One language', description: editor?.document.languageId, scope: 'language' },
+      { label: 'One file', description: activePath, scope: 'file' }
+    ] as const;
+    const scope = await vscode.window.showQuickPick(scopes, { title });
+    if (!scope) return undefined;
+    if (scope.scope === 'glob') {
+      const glob = await vscode.window.showInputBox({ title, prompt: 'Workspace-relative glob', placeHolder: 'payments/**', validateInput: v => v.trim() ? undefined : 'Enter a glob' });
+      if (!glob) return undefined;
+      filter = { glob: glob.trim() };
+    } else if (scope.scope === 'language') {
+      const languages = await vscode.languages.getLanguages();
+      const language = await vscode.window.showQuickPick(editor ? [editor.document.languageId, ...languages.filter(l => l !== editor.document.languageId)] : languages, { title, placeHolder: 'Language id' });
+      if (!language) return undefined;
+      filter = { language };
+    } else if (scope.scope === 'file') {
+      const file = await vscode.window.showInputBox({ title, prompt: 'Workspace-relative path', value: activePath, validateInput: v => v.trim() ? undefined : 'Enter a path' });
+      if (!file) return undefined;
+      filter = { file: file.trim().replace(/\\/g, '/') };
+    }
+  }
+
+  const targetText = await vscode.window.showInputBox({
+    title: `New Goal (3/6): How many ${source.unit}?`,
+    placeHolder: source.type === 'time' ? '120' : '5',
+    validateInput: v => Number.isInteger(Number(v)) && Number(v) > 0 ? undefined : 'Enter a whole number above 0'
   });
+  if (!targetText) return undefined;
+  const target = Number(targetText);
 
-  // Git Integration: Listen for commits/HEAD changes
-  const gitExtension = vscode.extensions.getExtension('vscode.git');
-  if (gitExtension) {
-    const git = gitExtension.exports.getAPI(1);
-    
-    const hookRepo = (repo: any) => {
-      let lastHead = repo.state.HEAD?.commit;
-      repo.state.onDidChange(() => {
-        const currentHead = repo.state.HEAD?.commit;
-        if (currentHead && currentHead !== lastHead) {
-          lastHead = currentHead;
-          devManager.onGitCommit();
-          updateStatusBar();
-        }
-      });
-    };
+  const deadlines = [
+    { label: 'Today', days: 0 }, { label: 'Tomorrow', days: 1 }, { label: 'In 3 days', days: 3 },
+    { label: 'In a week', days: 7 }, { label: 'In 2 weeks', days: 14 }, { label: 'In 30 days', days: 30 }
+  ];
+  const due = await vscode.window.showQuickPick(deadlines, { title: 'New Goal (4/6): Deadline (end of day)' });
+  if (!due) return undefined;
+  const deadline = new Date();
+  deadline.setDate(deadline.getDate() + due.days);
+  deadline.setHours(23, 59, 59, 999);
+
+  const rewardText = await vscode.window.showInputBox({
+    title: 'New Goal (5/6): Reward',
+    prompt: `Beans paid when you reach the goal. ${budget} left in this week's goal budget.`,
+    value: String(Math.min(budget, 20)),
+    validateInput: v => Number.isInteger(Number(v)) && Number(v) >= 0 && Number(v) <= budget ? undefined : `Enter a whole number from 0 to ${budget}`
+  });
+  if (!rewardText) return undefined;
+
+  const where = filter?.glob ?? filter?.language ?? filter?.file;
+  const description = await vscode.window.showInputBox({
+    title: 'New Goal (6/6): Name',
+    value: `${target} ${source.unit}${where ? ` in ${where}` : ''}`,
+    validateInput: v => v.trim() ? undefined : 'Enter a name'
+  });
+  if (!description) return undefined;
+
+  const now = Date.now();
+  return {
+    id: `goal_${now}`,
+    description: description.trim(),
+    type: source.type,
+    ...(filter ? { filter } : {}),
+    deadline: deadline.getTime(),
+    createdAt: now,
+    target,
+    progress: 0,
+    reward: Number(rewardText),
+    completed: false
+  };
+}
+
+/**
+ * File format written by the export command. The checksum covers the developer payload
+ * so files damaged in transit are caught on import. It is not a signature: anyone can
+ * recompute it, so validateDeveloper is what keeps impossible saves out.
+ */
+interface SaveFile {
+  format: 'devgotchi-save';
+  exportedAt: number;
+  developer: ProgrammerStats;
+  checksum: string;
+}
+
+function computeSaveChecksum(developer: unknown): string {
+  return crypto.createHash('sha256').update(JSON.stringify(developer)).digest('hex');
+}
+
+/**
+ * Checks an imported developer against the ProgrammerStats shape and the game's rules.
+ * Returns a list of problems; an empty list means the save is safe to load.
+ */
+export function validateDeveloper(dev: any, catalog: ContentCatalog): string[] {
+  if (!dev || typeof dev !== 'object' || Array.isArray(dev)) return ['Save is not an object'];
+  const errors: string[] = [];
+  const isNumber = (v: unknown): v is number => typeof v === 'number' && Number.isFinite(v);
+
+  for (const stat of ['energy', 'motivation', 'focus', 'health'] as const) {
+    if (!isNumber(dev[stat]) || dev[stat] < 0 || dev[stat] > 100) errors.push(`${stat} must be between 0 and 100`);
+  }
+  if (!Number.isInteger(dev.level) || dev.level < 1) errors.push('level must be a positive integer');
+  if (!isNumber(dev.xp) || dev.xp < 0) errors.push('xp must not be negative');
+  else if (Number.isInteger(dev.level) && dev.xp >= dev.level * 100) errors.push('xp exceeds what the level allows');
+  if (!Number.isInteger(dev.coffee) || dev.coffee < 0) errors.push('coffee must be a non-negative integer');
+  if (!isNumber(dev.lastUpdated) || dev.lastUpdated > Date.now()) errors.push('lastUpdated is not a valid past timestamp');
+  if (typeof dev.name !== 'string' || !dev.name.trim() || dev.name.length > 20) errors.push('name must be 1-20 characters');
+  if (typeof dev.role !== 'string') errors.push('role must be a string');
+  if (!MOODS.includes(dev.mood)) errors.push(`unknown mood "${dev.mood}"`);
+
+  // Ids that aren't loaded may come from a content pack that is missing here, so they
+  // are kept and only checked for shape; loaded ids must also match their catalog entry
+  const itemType = (id: unknown) => catalog.items.find(item => item.id === id)?.type;
+  if (!dev.skills || typeof dev.skills !== 'object' || Array.isArray(dev.skills) || Object.entries(dev.skills).some(([id, rank]) => {
+    const node = catalog.skills.find(sk => sk.id === id);
+    return !Number.isInteger(rank) || (rank as number) < 1 || (node !== undefined && (rank as number) > node.costs.length);
+  })) {
+    errors.push('skills contains invalid ranks');
+  }
+  if (!Array.isArray(dev.inventory) || dev.inventory.some((id: unknown) => typeof id !== 'string' || itemType(id) === 'consumable')) {
+    errors.push('inventory contains invalid items');
+  }
+  if (!dev.equipped || typeof dev.equipped !== 'object' || Object.entries(dev.equipped).some(([slot, id]) =>
+    !EQUIP_SLOTS.some(s => s.id === slot) || (itemType(id) !== undefined && itemType(id) !== slot) ||
+    !Array.isArray(dev.inventory) || !dev.inventory.includes(id))) {
+    errors.push('equipped contains items that are not owned or in the wrong slot');
+  }
+  if (!dev.consumables || typeof dev.consumables !== 'object' || Object.entries(dev.consumables).some(([id, count]) =>
+    (itemType(id) ?? 'consumable') !== 'consumable' || !Number.isInteger(count) || (count as number) < 0)) {
+    errors.push('consumables are malformed');
+  }
+  if (!Array.isArray(dev.activeEffects) || dev.activeEffects.some((e: any) =>
+    !e || typeof e.itemId !== 'string' || (itemType(e.itemId) ?? 'consumable') !== 'consumable' || !isNumber(e.expiresAt))) {
+    errors.push('activeEffects are malformed');
+  }
+  const isQuest = (q: any) => !!q && typeof q.id === 'string' && typeof q.description === 'string' && QUEST_TYPES.includes(q.type) &&
+    (q.commitType === undefined || typeof q.commitType === 'string') &&
+    isNumber(q.target) && q.target > 0 && isNumber(q.progress) && q.progress >= 0 && q.progress <= q.target &&
+    Number.isInteger(q.reward) && q.reward >= 0 && typeof q.completed === 'boolean';
+  // Rolled quests must pay what their template pays; daily ones from packs that aren't loaded can't be checked
+  const matchesTemplate = (q: any, templates: QuestTemplate[], required: boolean) => {
+    const template = templates.find(t => t.desc === q.description);
+    return template ? template.type === q.type && template.target === q.target && template.reward === q.reward : !required;
+  };
+  if (!Array.isArray(dev.quests) || !dev.quests.every(isQuest)) errors.push('quests are malformed');
+  else if (dev.quests.some((q: any) => !matchesTemplate(q, catalog.quests, false))) errors.push('quests don\'t match their templates');
+  if (!Array.isArray(dev.weeklyQuests) || !dev.weeklyQuests.every(isQuest)) errors.push('weeklyQuests are malformed');
+  else if (dev.weeklyQuests.some((q: any) => !matchesTemplate(q, WEEKLY_QUEST_TEMPLATES, true))) errors.push('weeklyQuests don\'t match their templates');
+  if (!Array.isArray(dev.chainQuests) || dev.chainQuests.some((q: any) => {
+    const chain = QUEST_CHAINS.find(c => c.id === q?.chainId);
+    const step = chain?.steps[dev.chainSteps?.[chain.id] || 0];
+    return !isQuest(q) || !step || !matchesTemplate(q, [step], true);
+  })) {
+    errors.push('chainQuests are malformed');
+  }
+  if (!dev.chainSteps || typeof dev.chainSteps !== 'object' || Object.entries(dev.chainSteps).some(([id, step]) => {
+    const chain = QUEST_CHAINS.find(c => c.id === id);
+    return !chain || !Number.isInteger(step) || (step as number) < 0 || (step as number) > chain.steps.length;
+  })) {
+    errors.push('chainSteps are malformed');
+  }
+  const isFilter = (f: any) => f === undefined || (!!f && typeof f === 'object' &&
+    (['glob', 'language', 'file'] as const).every(k => f[k] === undefined || (typeof f[k] === 'string' && f[k].length > 0)));
+  if (!Array.isArray(dev.goals) || dev.goals.some((q: any) =>
+    !isQuest(q) || !GOAL_SOURCES.includes(q.type) || !isNumber(q.deadline) || !isNumber(q.createdAt) || !isFilter(q.filter))) {
+    errors.push('goals are malformed');
+  }
+  if (!dev.goalBudget || !Number.isInteger(dev.goalBudget.weekStart) || !Number.isInteger(dev.goalBudget.spent) || dev.goalBudget.spent < 0) {
+    errors.push('goalBudget is malformed');
+  }
+  if (typeof dev.dailyQuestsDay !== 'string') errors.push('dailyQuestsDay must be a string');
+  for (const counter of ['questRerolls', 'weeklyQuestsStart'] as const) {
+    if (!Number.isInteger(dev[counter]) || dev[counter] < 0) errors.push(`${counter} must be a non-negative integer`);
+  }
+  if (typeof dev.profileId !== 'string' || !dev.profileId) errors.push('profileId is missing');
+  if (!Array.isArray(dev.achievements) || dev.achievements.some((id: unknown) => !ACHIEVEMENTS.some(a => a.id === id))) {
+    errors.push('achievements contains unknown entries');
+  }
+  const lifetime = dev.lifetime;
+  if (!lifetime || typeof lifetime !== 'object' ||
+    (['saves', 'commits', 'bugsFixed', 'gamesPlayed'] as const).some(k => !Number.isInteger(lifetime[k]) || lifetime[k] < 0) ||
+    (lifetime.bestBossTimeMs !== undefined && (!isNumber(lifetime.bestBossTimeMs) || lifetime.bestBossTimeMs <= 0))) {
+    errors.push('lifetime stats are malformed');
+  }
+  const gameRewards = dev.gameRewards;
+  if (!gameRewards || typeof gameRewards !== 'object' || typeof gameRewards.day !== 'string' ||
+    !gameRewards.counts || typeof gameRewards.counts !== 'object' ||
+    Object.values(gameRewards.counts).some(n => !Number.isInteger(n) || (n as number) < 0)) {
+    errors.push('gameRewards is malformed');
+  }
+  if (!dev.languageEdits || typeof dev.languageEdits !== 'object' ||
+    Object.values(dev.languageEdits).some(n => !Number.isInteger(n) || (n as number) < 0)) {
+    errors.push('languageEdits is malformed');
+  }
+  if (!dev.speedTestBests || typeof dev.speedTestBests !== 'object' ||
+    Object.values(dev.speedTestBests).some((b: any) => !b || !isNumber(b.wpm) || b.wpm <= 0 || !isNumber(b.accuracy) || b.accuracy < 0 || b.accuracy > 1)) {
+    errors.push('speedTestBests is malformed');
+  }
+  for (const counter of ['streak', 'questStreak', 'lastDailyBonus', 'weeklyXp', 'weekStart'] as const) {
+    if (dev[counter] !== undefined && (!Number.isInteger(dev[counter]) || dev[counter] < 0)) errors.push(`${counter} must be a non-negative integer`);
+  }
+  if (isNumber(dev.lastDailyBonus) && dev.lastDailyBonus > Date.now()) errors.push('lastDailyBonus is in the future');
+  return errors;
+}
+
+/**
+ * A JSON file that adds skills, shop items, daily quests and Boss Battle snippets.
+ * Packs live in `<globalStorage>/packs/` and in `.devgotchi/` inside workspace folders.
+ */
+interface ContentPack {
+  name: string;
+  skills?: SkillNode[];
+  items?: ShopItem[];
+  quests?: QuestTemplate[];
+  snippets?: string[];
+}
+
+/**
+ * Checks a content pack against the ContentPack shape. Ids must not clash with the content
+ * in `loaded`, and skill prerequisites must exist. Returns a list of problems.
+ */
+export function validateContentPack(pack: any, loaded: ContentCatalog): string[] {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return ['Pack is not an object'];
+  const errors: string[] = [];
+  const isNumber = (v: unknown): v is number => typeof v === 'number' && Number.isFinite(v);
+  const isText = (v: unknown): v is string => typeof v === 'string' && v.trim().length > 0;
+  const checkEffects = (effects: any, where: string) => {
+    if (effects === undefined) return;
+    if (!effects || typeof effects !== 'object' || Array.isArray(effects)) return errors.push(`${where}.effects must be an object`);
+    for (const [effect, value] of Object.entries(effects)) {
+      if (!STAT_EFFECTS.includes(effect as StatEffect)) errors.push(`${where}.effects has unknown effect "${effect}"`);
+      else if (!isNumber(value)) errors.push(`${where}.effects.${effect} must be a number`);
+    }
+  };
+  const checkList = (key: string) => {
+    if (pack[key] !== undefined && !Array.isArray(pack[key])) errors.push(`${key} must be an array`);
+    return Array.isArray(pack[key]) ? pack[key] as any[] : [];
+  };
+
+  if (!isText(pack.name)) errors.push('name is missing');
+
+  const skills = checkList('skills');
+  const skillIds = new Set([...loaded.skills.map(sk => sk.id), ...skills.map(sk => sk?.id)]);
+  skills.forEach((sk, i) => {
+    const where = `skills[${i}]`;
+    if (!sk || typeof sk !== 'object') return errors.push(`${where} is not an object`);
+    if (!isText(sk.id)) errors.push(`${where}.id is missing`);
+    else if (loaded.skills.some(existing => existing.id === sk.id) || skills.filter(other => other?.id === sk.id).length > 1) errors.push(`${where}.id "${sk.id}" is already taken`);
+    if (!isText(sk.name)) errors.push(`${where}.name is missing`);
+    if (!isText(sk.description)) errors.push(`${where}.description is missing`);
+    if (!SKILL_BRANCHES.some(b => b.id === sk.branch)) errors.push(`${where}.branch must be one of ${SKILL_BRANCHES.map(b => b.id).join(', ')}`);
+    if (!Number.isInteger(sk.tier) || sk.tier < 1) errors.push(`${where}.tier must be a positive integer`);
+    if (!Array.isArray(sk.costs) || sk.costs.length === 0 || sk.costs.some((c: unknown) => !Number.isInteger(c) || (c as number) < 0)) errors.push(`${where}.costs must list a bean cost per rank`);
+    if (!Number.isInteger(sk.minLevel) || sk.minLevel < 1) errors.push(`${where}.minLevel must be a positive integer`);
+    if (!Array.isArray(sk.requires) || sk.requires.some((id: unknown) => typeof id !== 'string' || !skillIds.has(id))) errors.push(`${where}.requires must list existing skill ids`);
+    checkEffects(sk.effects, where);
+    if (sk.effects === undefined) errors.push(`${where}.effects is missing`);
+  });
+
+  const items = checkList('items');
+  items.forEach((item, i) => {
+    const where = `items[${i}]`;
+    if (!item || typeof item !== 'object') return errors.push(`${where} is not an object`);
+    if (!isText(item.id)) errors.push(`${where}.id is missing`);
+    else if (loaded.items.some(existing => existing.id === item.id) || items.filter(other => other?.id === item.id).length > 1) errors.push(`${where}.id "${item.id}" is already taken`);
+    if (!isText(item.name)) errors.push(`${where}.name is missing`);
+    if (!isText(item.description)) errors.push(`${where}.description is missing`);
+    if (item.type !== 'consumable' && !EQUIP_SLOTS.some(slot => slot.id === item.type)) errors.push(`${where}.type must be consumable or one of ${EQUIP_SLOTS.map(slot => slot.id).join(', ')}`);
+    if (!Number.isInteger(item.cost) || item.cost < 0) errors.push(`${where}.cost must be a non-negative integer`);
+    if (item.emoji !== undefined && typeof item.emoji !== 'string') errors.push(`${where}.emoji must be a string`);
+    if (item.type === 'skin' && !isText(item.emoji)) errors.push(`${where}.emoji is required for skins`);
+    checkEffects(item.effects, where);
+    if (item.durationMinutes !== undefined && (!isNumber(item.durationMinutes) || item.durationMinutes <= 0)) errors.push(`${where}.durationMinutes must be positive`);
+    if (item.restore !== undefined && (!item.restore || typeof item.restore !== 'object' ||
+      Object.entries(item.restore).some(([stat, v]) => !['energy', 'focus', 'motivation'].includes(stat) || !isNumber(v)))) {
+      errors.push(`${where}.restore may only boost energy, focus and motivation`);
+    }
+    if (item.type === 'consumable' && !item.durationMinutes && !item.restore) errors.push(`${where} is a consumable without durationMinutes or restore`);
+  });
+
+  checkList('quests').forEach((q, i) => {
+    const where = `quests[${i}]`;
+    if (!q || typeof q !== 'object') return errors.push(`${where} is not an object`);
+    if (!QUEST_TYPES.includes(q.type)) errors.push(`${where}.type must be one of ${QUEST_TYPES.join(', ')}`);
+    if (!isText(q.desc)) errors.push(`${where}.desc is missing`);
+    if (!isNumber(q.target) || q.target <= 0) errors.push(`${where}.target must be positive`);
+    if (!Number.isInteger(q.reward) || q.reward < 0) errors.push(`${where}.reward must be a non-negative integer`);
+    if (q.commitType !== undefined && (q.type !== 'commit' || !isText(q.commitType))) errors.push(`${where}.commitType only applies to commit quests`);
+  });
+
+  checkList('snippets').forEach((line, i) => {
+    if (typeof line !== 'string' || !isTypeableLine(line)) errors.push(`snippets[${i}] must be a 12-60 character line of plain ASCII code`);
+  });
+  return errors;
+}
+
+/**
+ * What the game can offer right now: the built-in skills, shop items, daily quests and
+ * Boss Battle lines, plus those of the loaded content packs, and the Code Quiz packs.
+ * The built-in lists are never changed; a reload swaps in the content found this time.
+ */
+export class ContentCatalog {
+  skills: SkillNode[] = [...SKILLS];
+  items: ShopItem[] = [...SHOP_ITEMS];
+  quests: QuestTemplate[] = [...QUEST_TEMPLATES];
+  snippets: string[] = [...BOSS_SNIPPETS];
+  quizzes: QuizPack[] = [];
+  private missingQuizFolders = new Set<string>(); // Already warned about
+
+  /**
+   * Loads every *.json content pack from the given folders on top of the built-in content.
+   * Broken packs are skipped and their problems published as diagnostics on the pack file.
+   */
+  async load(folders: vscode.Uri[], diagnostics: vscode.DiagnosticCollection): Promise<{ loaded: string[]; skipped: number }> {
+    diagnostics.clear();
+    const next = new ContentCatalog();
+    const loaded: string[] = [];
+    let skipped = 0;
+    for (const folder of folders) {
+      let entries: [string, vscode.FileType][];
+      try {
+        entries = await vscode.workspace.fs.readDirectory(folder);
+      } catch {
+        continue; // No packs here
+      }
+      for (const [name, type] of entries.sort(([a], [b]) => a.localeCompare(b))) {
+        if (type !== vscode.FileType.File || !name.endsWith('.json')) continue;
+        const file = vscode.Uri.joinPath(folder, name);
+        let errors: string[];
+        let pack: ContentPack | undefined;
+        try {
+          pack = JSON.parse(Buffer.from(await vscode.workspace.fs.readFile(file)).toString('utf8'));
+          errors = validateContentPack(pack, next);
+        } catch (err) {
+          errors = [`Not valid JSON: ${err instanceof Error ? err.message : err}`];
+        }
+        if (errors.length > 0 || !pack) {
+          skipped++;
+          // Information severity keeps pack problems out of the linter stats and the Lint Boss
+          diagnostics.set(file, errors.map(message => {
+            const diagnostic = new vscode.Diagnostic(new vscode.Range(0, 0, 0, 0), `DevGotchi pack skipped: ${message}`, vscode.DiagnosticSeverity.Information);
+            diagnostic.source = 'devgotchi';
+            return diagnostic;
+          }));
+          continue;
+        }
+        next.skills.push(...(pack.skills ?? []));
+        next.items.push(...(pack.items ?? []));
+        next.quests.push(...(pack.quests ?? []));
+        next.snippets.push(...(pack.snippets ?? []));
+        loaded.push(pack.name);
+      }
+    }
+    this.skills = next.skills;
+    this.items = next.items;
+    this.quests = next.quests;
+    this.snippets = next.snippets;
+    return { loaded, skipped };
+  }
+
+  /**
+   * Loads every *.json quiz pack from the built-in folder and the user's pack folders.
+   * Broken packs are skipped with a warning instead of breaking the game. A missing
+   * folder is only reported the first time.
+   */
+  async loadQuizzes(extensionUri: vscode.Uri) {
+    const folders = [vscode.Uri.joinPath(extensionUri, 'media', 'quizzes'), ...getSettings().quizPackFolders.map(resolveUserPath)];
+    const packs: QuizPack[] = [];
+    for (const folder of folders) {
+      let entries: [string, vscode.FileType][];
+      try {
+        entries = await vscode.workspace.fs.readDirectory(folder);
+      } catch {
+        if (!this.missingQuizFolders.has(folder.fsPath)) {
+          this.missingQuizFolders.add(folder.fsPath);
+          vscode.window.showWarningMessage(`DevGotchi: Quiz pack folder not found: ${folder.fsPath}`);
+        }
+        continue;
+      }
+      this.missingQuizFolders.delete(folder.fsPath);
+      for (const [name, type] of entries) {
+        if (type !== vscode.FileType.File || !name.endsWith('.json')) continue;
+        const file = vscode.Uri.joinPath(folder, name);
+        try {
+          const pack = JSON.parse(Buffer.from(await vscode.workspace.fs.readFile(file)).toString('utf8'));
+          const errors = validateQuizPack(pack);
+          if (errors.length > 0) throw new Error(errors.join('; '));
+          packs.push(pack);
+        } catch (err) {
+          vscode.window.showWarningMessage(`DevGotchi: Skipped quiz pack ${file.fsPath}: ${err instanceof Error ? err.message : err}`);
+        }
+      }
+    }
+    this.quizzes = packs;
+  }
+}
+
+/**
+ * Serializes a value for an inline webview script. Escapes `<` so pack text can't close the script tag.
+ */
+function toScriptJson(value: unknown): string {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+
+/**
+ * Resolves a user-configured path. `~` is the home folder and relative paths
+ * start at the first workspace folder.
+ */
+function resolveUserPath(location: string): vscode.Uri {
+  const expanded = location.replace(/^~(?=$|[\\/])/, os.homedir());
+  const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri;
+  if (workspaceRoot && !/^([a-zA-Z]:)?[\\/]/.test(expanded)) {
+    return vscode.Uri.joinPath(workspaceRoot, expanded);
+  }
+  return vscode.Uri.file(expanded);
+}
+
+/**
+ * Minimal promise wrapper around Node's http(s) client for the leaderboard endpoint.
+ * Resolves with the response body on a 2xx status and rejects otherwise.
+ */
+function httpRequest(method: string, url: string, body?: string): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const headers: Record<string, string | number> = body
+      ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+      : {};
+    const req = client.request(url, { method, headers, timeout: 10000 }, res => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        const status = res.statusCode || 0;
+        if (status >= 200 && status < 300) resolve(data);
+        else reject(new Error(`HTTP ${status} from ${url}`));
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`Request to ${url} timed out`)));
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+type GitEventKind = 'commit' | 'amend' | 'merge' | 'rebase' | 'pull' | 'checkout' | 'reset';
+
+/**
+ * Rewards for git operations other than authoring a commit, which uses the
+ * configurable `rewards.commit*` settings.
+ */
+const GIT_REWARDS: Record<Exclude<GitEventKind, 'commit'>, { label: string; xp: number; beans: number; motivation: number }> = {
+  amend: { label: 'Commit amended', xp: 5, beans: 0, motivation: 2 },
+  merge: { label: 'Merged', xp: 30, beans: 3, motivation: 30 },
+  rebase: { label: 'Rebased', xp: 15, beans: 1, motivation: 5 },
+  pull: { label: 'Pulled', xp: 5, beans: 0, motivation: 5 },
+  checkout: { label: 'Switched branch', xp: 0, beans: 0, motivation: 0 },
+  reset: { label: 'Reset', xp: 0, beans: 0, motivation: 0 }
+};
+
+/**
+ * The parts of a repository's HEAD state needed to tell git operations apart.
+ */
+interface HeadSnapshot {
+  commit?: string;
+  branch?: string;
+  behind?: number;     // Commits behind upstream
+  rebasing: boolean;
+}
+
+function snapshotHead(repo: any): HeadSnapshot {
+  const head = repo.state.HEAD;
+  return { commit: head?.commit, branch: head?.name, behind: head?.behind, rebasing: !!repo.state.rebaseCommit };
+}
+
+/**
+ * Reads the email git would author commits with, preferring the repository's own config.
+ */
+async function getGitUserEmail(repo: any): Promise<string | undefined> {
+  for (const read of [() => repo.getConfig('user.email'), () => repo.getGlobalConfig('user.email')]) {
+    try {
+      const email = (await read())?.trim();
+      if (email) return email.toLowerCase();
+    } catch {
+      // Key not set at this level
+    }
+  }
+  return undefined;
+}
+
+/**
+ * What an authored commit contains, used to scale its reward.
+ */
+interface CommitDetails {
+  type?: string;       // Conventional Commit type, e.g. "feat" or "fix"
+  linesChanged: number; // Added plus removed lines, excluding generated files
+  filesChanged: number;
+  paths: string[];     // Workspace-relative paths of the changed files, excluding generated files
+}
+
+const MAX_LINES_PER_FILE = 500;
+const GENERATED_PATH = /(^|[\\/])(node_modules|dist|build|out|vendor|coverage)[\\/]|(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|poetry\.lock|composer\.lock|Gemfile\.lock|go\.sum)$|\.(min\.js|min\.css|map|snap)$/;
+
+/**
+ * Scales the base commit XP by the size of the change and its Conventional Commit type.
+ * Size follows a log curve so a one-line typo fix still pays something and giant
+ * diffs stop paying more past a cap. `fixXp` is the Bug Slayer multiplier for fix: commits.
+ */
+export function getCommitXp(baseXp: number, details: CommitDetails | undefined, fixXp: number): number {
+  if (!details) return baseXp;
+  const sizeMult = 0.5 + Math.min(1.5, Math.log10(1 + details.linesChanged) / 2);
+  const filesMult = 1 + Math.min(0.25, Math.max(0, details.filesChanged - 1) * 0.05);
+  const typeMults: Record<string, number> = { feat: 1.2, fix: 1.1, test: 1.15, refactor: 1.1, perf: 1.1, docs: 1 };
+  let typeMult = (details.type && typeMults[details.type]) || 1;
+  if (details.type === 'fix') typeMult *= fixXp;
+  return Math.round(baseXp * sizeMult * filesMult * typeMult);
+}
+
+/**
+ * Reads the type from a Conventional Commit subject such as "feat(ui)!: add panel".
+ */
+function parseConventionalType(message: string): string | undefined {
+  return /^(\w+)(\([^)]*\))?!?:\s/.exec(message.trim())?.[1].toLowerCase();
+}
+
+/**
+ * Runs the git executable the git extension uses and resolves to its output.
+ */
+function runGit(gitPath: string, cwd: string, args: string[]): Promise<string> {
+  return new Promise((resolve, reject) => {
+    childProcess.execFile(gitPath, args, { cwd, maxBuffer: 16 * 1024 * 1024 }, (err, stdout) => err ? reject(err) : resolve(stdout));
+  });
+}
+
+/**
+ * Measures an authored commit with a single `git diff-tree --numstat`. Generated files
+ * (lockfiles, build output, minified bundles) are ignored, and very large files are capped.
+ */
+async function getCommitDetails(repo: any, commit: any, gitPath: string): Promise<CommitDetails> {
+  // A root commit has no parent; --root diffs it against the empty tree instead
+  const range = commit.parents.length > 0 ? [commit.parents[0], commit.hash] : ['--root', commit.hash];
+  const output = await runGit(gitPath, repo.rootUri.fsPath, ['diff-tree', '-r', '--numstat', '-z', '--no-commit-id', ...range]);
+  // Each entry is "added<TAB>removed<TAB>path"; binary files count "-" lines
+  const files = output.split('\0')
+    .map(entry => /^(\d+|-)\t(\d+|-)\t(.+)$/s.exec(entry))
+    .filter((match): match is RegExpExecArray => !!match && !GENERATED_PATH.test(match[3]));
+
+  let linesChanged = 0;
+  for (const [, added, removed] of files) {
+    linesChanged += Math.min((Number(added) || 0) + (Number(removed) || 0), MAX_LINES_PER_FILE);
+  }
+  return {
+    type: parseConventionalType(commit.message),
+    linesChanged,
+    filesChanged: files.length,
+    paths: files.map(([, , , path]) => vscode.workspace.asRelativePath(vscode.Uri.joinPath(repo.rootUri, path), false))
+  };
+}
+
+// A commit of the same tree this soon after a reset took it away is the same work again
+const RECOMMIT_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Works out which git operation moved HEAD from `before` to `after`, using the commit
+ * graph from the git API. `authored` tells whether the new HEAD commit was written by
+ * the user, judged by their configured email. Authored commits also carry their details.
+ * `resetTrees` remembers, per repository, the trees of commits that resets took away.
+ */
+export async function classifyHeadChange(
+  repo: any,
+  before: HeadSnapshot,
+  after: HeadSnapshot,
+  gitPath: string,
+  resetTrees: Map<string, number>,
+  now: number = Date.now()
+): Promise<{ kind: GitEventKind; authored: boolean; details?: CommitDetails } | undefined> {
+  if (!after.commit || after.commit === before.commit) return undefined;
+  if (before.rebasing) {
+    const authored = await isOwnRebase(repo, before, after, gitPath);
+    return { kind: authored ? 'rebase' : 'pull', authored };
+  }
+  if (after.branch !== before.branch) return { kind: 'checkout', authored: false };
+
+  const [commit, email] = await Promise.all([repo.getCommit(after.commit), getGitUserEmail(repo)]);
+  const authored = !!email && commit.authorEmail?.toLowerCase() === email;
+  const kind = await classifyCommit(repo, before, after, commit, authored);
+  const treeOf = async (hash: string) => (await runGit(gitPath, repo.rootUri.fsPath, ['rev-parse', `${hash}^{tree}`])).trim();
+  if (kind === 'reset' && before.commit) resetTrees.set(await treeOf(before.commit), now);
+  if (kind === 'commit') {
+    resetTrees.forEach((time, tree) => { if (now - time > RECOMMIT_WINDOW_MS) resetTrees.delete(tree); });
+    // `reset --soft HEAD~1` and committing again must not pay twice for the same change
+    if (resetTrees.size > 0 && resetTrees.has(await treeOf(after.commit))) return { kind: 'reset', authored };
+    // Without details the commit still pays the base reward and counts for quests
+    const details = await getCommitDetails(repo, commit, gitPath).catch(() => undefined);
+    return { kind, authored, details };
+  }
+  return { kind, authored };
+}
+
+/**
+ * Decides how the new HEAD commit relates to the previous one.
+ */
+async function classifyCommit(repo: any, before: HeadSnapshot, after: HeadSnapshot, commit: any, authored: boolean): Promise<GitEventKind> {
+  // First commit of a fresh repository
+  if (!before.commit) return authored ? 'commit' : 'pull';
+
+  if (commit.parents.includes(before.commit)) {
+    // Catching up with the upstream means the new commits came from elsewhere
+    if (before.behind && (after.behind ?? 0) < before.behind) return 'pull';
+    if (commit.parents.length > 1) return authored ? 'merge' : 'pull';
+    return authored ? 'commit' : 'pull';
+  }
+
+  const previous = await repo.getCommit(before.commit);
+  const sameParents = previous.parents.length === commit.parents.length &&
+    previous.parents.every((p: string) => commit.parents.includes(p));
+  if (sameParents) return 'amend';
+
+  const base = await repo.getMergeBase(before.commit, after.commit);
+  if (base === before.commit) return before.behind ? 'pull' : 'merge'; // Fast-forward
+  // A rebase finished before its in-progress state was observed
+  if (base !== after.commit && previous.message === commit.message) return authored ? 'rebase' : 'pull';
+  return 'reset';
+}
+
+/**
+ * Tells whether a finished rebase was the user's own: it must not just catch up with the
+ * upstream (`pull --rebase`), and every commit it rewrote must be authored by the user.
+ */
+async function isOwnRebase(repo: any, before: HeadSnapshot, after: HeadSnapshot, gitPath: string): Promise<boolean> {
+  if (!before.commit || !after.commit) return false;
+  if (before.behind && (after.behind ?? 0) < before.behind) return false;
+  const email = await getGitUserEmail(repo);
+  if (!email) return false;
+  // The rewritten commits are the ones the old HEAD had on top of the new history
+  const base = await repo.getMergeBase(before.commit, after.commit);
+  const range = base ? `${base}..${before.commit}` : before.commit;
+  const authors = (await runGit(gitPath, repo.rootUri.fsPath, ['log', '--format=%ae', range])).split('\n').filter(Boolean);
+  return authors.length > 0 && authors.every(author => author.toLowerCase() === email);
+}
+
+/**
+ * Extension activation entry point.
+ * Initializes the game manager, status bar, and event listeners.
+ */
+export async function activate(context: vscode.ExtensionContext) {
+  // Built-in content for now; content packs are loaded once everything is registered
+  const catalog = new ContentCatalog();
+  const history = new ActivityHistory(context);
+  const devManager = new DeveloperManager(context, history, catalog);
+  const leaderboard = new TeamLeaderboard(devManager);
+  
+  // Create the status bar item and fill it in
+  const statusBar = new DeveloperStatusBar(devManager);
+  context.subscriptions.push(statusBar);
+  statusBar.update();
+  
+  // Pomodoro timer with its own status bar countdown
+  const pomodoro = new PomodoroTimer(devManager, broadcastDeveloper);
+  context.subscriptions.push(
+    pomodoro,
+    vscode.commands.registerCommand('devgotchi.togglePomodoro', () => {
+      vscode.window.setStatusBarMessage(pomodoro.toggle().message, 3000);
+      broadcastDeveloper();
+    }),
+    vscode.commands.registerCommand('devgotchi.takeBreak', () => {
+      vscode.window.setStatusBarMessage(pomodoro.toggleBreak().message, 3000);
+      broadcastDeveloper();
+    })
+  );
+  
+  // Register the command to open the main webview panel
+  context.subscriptions.push(
+    vscode.commands.registerCommand('devgotchi.openPanel', () => {
+      DeveloperPanel.createOrShow(devManager, leaderboard, history, pomodoro, catalog);
+    })
+  );
+  
+  // Register the sidebar view shown in the activity bar
+  context.subscriptions.push(
+    vscode.window.registerWebviewViewProvider(DeveloperSidebarProvider.viewId, new DeveloperSidebarProvider(devManager, pomodoro))
+  );
+  
+  // Register command to reset progress
+  context.subscriptions.push(
+    vscode.commands.registerCommand('devgotchi.resetProgress', async () => {
+      await devManager.resetProgress();
+      broadcastDeveloper();
+    })
+  );
+  
+  // Register the command to set a custom goal (also reachable from the Quests window)
+  context.subscriptions.push(
+    vscode.commands.registerCommand('devgotchi.createGoal', async () => {
+      const result = await devManager.createGoal();
+      if (!result) return;
+      if (result.success) vscode.window.showInformationMessage(result.message);
+      else vscode.window.showWarningMessage(result.message);
+      broadcastDeveloper();
+    })
+  );
+
+  // Register commands to back up and restore the developer
+  context.subscriptions.push(
+    vscode.commands.registerCommand('devgotchi.exportSave', () => devManager.exportSave()),
+    vscode.commands.registerCommand('devgotchi.importSave', async () => {
+      if (await devManager.importSave()) {
+        broadcastDeveloper();
+      }
+    })
+  );
+  
+  // Listen for file saves to reward the user, remembering which ones came from autosave
+  const saveReasons = new Map<string, vscode.TextDocumentSaveReason>();
+  context.subscriptions.push(
+    vscode.workspace.onWillSaveTextDocument(e => {
+      saveReasons.set(e.document.uri.toString(), e.reason);
+    }),
+    vscode.workspace.onDidSaveTextDocument(document => {
+      const key = document.uri.toString();
+      const reason = saveReasons.get(key);
+      saveReasons.delete(key);
+      devManager.onCodeSaved(document, reason !== undefined && reason !== vscode.TextDocumentSaveReason.Manual);
+      statusBar.update();
+    })
+  );
+  
+  // Measure real typing activity in the active editor
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeTextDocument(e => {
+      if (e.contentChanges.length === 0 || vscode.window.activeTextEditor?.document !== e.document) return;
+      devManager.onTyping(e.document);
+    }),
+    vscode.window.onDidChangeActiveTextEditor(editor => {
+      if (editor) devManager.onEditorSwitched();
+    })
+  );
+  
+  // Presence: window focus and editor interaction tell active, idle and away time apart
+  context.subscriptions.push(
+    vscode.window.onDidChangeWindowState(state => {
+      devManager.onWindowFocusChanged(state.focused);
+      statusBar.update();
+    }),
+    vscode.window.onDidChangeTextEditorSelection(() => devManager.onInteraction())
+  );
+  
+  // Re-apply stats when the user changes settings
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeConfiguration(e => {
+      if (e.affectsConfiguration('devgotchi')) {
+        if (e.affectsConfiguration('devgotchi.leaderboard')) leaderboard.publish();
+        if (e.affectsConfiguration('devgotchi.quiz.packFolders')) catalog.loadQuizzes(context.extensionUri);
+        devManager.updateStats();
+        broadcastDeveloper();
+      }
+    })
+  );
+  
+  // The "Passive Loop": Update stats every 30 seconds
+  const interval = setInterval(() => {
+    devManager.updateStats();
+    history.sample(devManager.getDeveloper());
+    history.flush();
+    broadcastDeveloper();
+    leaderboard.publishIfDue();
+  }, 30000);
+  
+  context.subscriptions.push({
+    dispose: () => {
+      clearInterval(interval);
+      history.flush();
+    }
+  });
+
+  // Git Integration: Listen for commits/HEAD changes
+  const gitExtension = vscode.extensions.getExtension('vscode.git');
+  if (gitExtension) {
+    const git = gitExtension.exports.getAPI(1);
+    
+    const hookRepo = (repo: any) => {
+      let lastHead = snapshotHead(repo);
+      let rebaseStart: HeadSnapshot | undefined;
+      const resetTrees = new Map<string, number>();
+      // Classification is async, so handle state changes one at a time and in order
+      let queue = Promise.resolve();
+      repo.state.onDidChange(() => {
+        queue = queue.then(async () => {
+          const currentHead = snapshotHead(repo);
+          // HEAD moves once per replayed commit during a rebase; only the finished rebase counts
+          if (currentHead.rebasing) {
+            rebaseStart = rebaseStart || lastHead;
+            lastHead = currentHead;
+            return;
+          }
+          const previousHead = rebaseStart ? { ...rebaseStart, rebasing: true } : lastHead;
+          rebaseStart = undefined;
+          lastHead = currentHead;
+
+          const event = await classifyHeadChange(repo, previousHead, currentHead, git.git.path, resetTrees);
+          if (event) {
+            devManager.onGitEvent(event.kind, event.authored, event.details);
+            statusBar.update();
+          }
+        }).catch(() => {
+          // The git API couldn't describe this HEAD change, so it goes unrewarded; keep the queue alive
+        });
+      });
+    };
+
+    if (git.repositories) git.repositories.forEach(hookRepo);
+    git.onDidOpenRepository(hookRepo);
+  }
+
+  // Task Integration: Reward green build and test runs
+  context.subscriptions.push(
+    vscode.tasks.onDidEndTaskProcess(e => {
+      const task = e.execution.task;
+      const groupId = task.group?.id;
+      const kind = groupId === vscode.TaskGroup.Test.id ? 'test'
+        : groupId === vscode.TaskGroup.Build.id || groupId === vscode.TaskGroup.Rebuild.id ? 'build'
+        : undefined;
+      // Terminated tasks have no exit code and say nothing about the code
+      if (!kind || e.exitCode === undefined) return;
+      devManager.onTaskFinished(kind, `${task.source}:${task.name}`, e.exitCode === 0);
+      statusBar.update();
+    })
+  );
+
+  // Debug Integration: Track top-level debug sessions and the breakpoints set along the way
+  context.subscriptions.push(
+    vscode.debug.onDidStartDebugSession(session => {
+      if (!session.parentSession) devManager.onDebugStarted(session.id);
+    }),
+    vscode.debug.onDidTerminateDebugSession(session => {
+      if (!session.parentSession) {
+        devManager.onDebugEnded(session.id);
+        statusBar.update();
+      }
+    }),
+    vscode.debug.onDidChangeBreakpoints(e => {
+      if (e.added.length > 0) devManager.onBreakpointsAdded(e.added.length);
+    })
+  );
+
+  // Linter Integration: Listen for diagnostics per file
+  devManager.setInitialDiagnostics(vscode.languages.getDiagnostics());
+  context.subscriptions.push(
+    vscode.languages.onDidChangeDiagnostics(e => {
+      const fixes = devManager.updateDiagnostics(e.uris.map(uri => [uri, vscode.languages.getDiagnostics(uri)] as [vscode.Uri, vscode.Diagnostic[]]));
+      if (fixes.length > 0) DeveloperPanel.currentPanel?.damageLintBoss(fixes);
+      statusBar.update();
+    })
+  );
+
+  // Content packs: global ones, plus those of trusted workspace folders. Loads run one
+  // after another so an older load can't finish last and win.
+  const packDiagnostics = vscode.languages.createDiagnosticCollection('devgotchi-packs');
+  context.subscriptions.push(packDiagnostics);
+  let packsLoading = Promise.resolve();
+  const loadPacks = () => packsLoading = packsLoading.then(async () => {
+    const folders = [vscode.Uri.joinPath(context.globalStorageUri, 'packs')];
+    if (vscode.workspace.isTrusted) {
+      folders.push(...(vscode.workspace.workspaceFolders ?? []).map(folder => vscode.Uri.joinPath(folder.uri, '.devgotchi')));
+    }
+    const packs = await catalog.load(folders, packDiagnostics);
+    if (packs.skipped > 0) {
+      vscode.window.showWarningMessage(`DevGotchi: Skipped ${packs.skipped} content pack${packs.skipped === 1 ? '' : 's'} with errors. See the Problems panel for details.`);
+    }
+    DeveloperPanel.currentPanel?.updateCatalog();
+  });
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeWorkspaceFolders(() => loadPacks().then(broadcastDeveloper)),
+    vscode.workspace.onDidGrantWorkspaceTrust(() => loadPacks().then(broadcastDeveloper))
+  );
+
+  await Promise.all([loadPacks(), catalog.loadQuizzes(context.extensionUri)]);
+  devManager.resume();
+  broadcastDeveloper();
+}
+
+/**
+ * The status bar item with the developer's mood, name and level. Clicking it opens the panel.
+ */
+class DeveloperStatusBar implements vscode.Disposable {
+  public static current: DeveloperStatusBar | undefined;
+  private readonly item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+
+  constructor(private devManager: DeveloperManager) {
+    this.item.command = 'devgotchi.openPanel';
+    DeveloperStatusBar.current = this;
+  }
+
+  /**
+   * Updates the status bar text and tooltip with current stats.
+   */
+  update() {
+    const dev = this.devManager.getDeveloper();
+    const emoji = getMoodEmoji(dev.mood);
+    this.item.text = `${emoji} ${dev.name} Lv${dev.level}`;
+    this.item.tooltip = `💪 ${Math.round(dev.health)}% | 🔥 ${Math.round(dev.motivation)}% | 🧠 ${Math.round(dev.focus)}% | ☕ ${dev.coffee}`;
+    this.item.show();
+  }
+
+  dispose() {
+    DeveloperStatusBar.current = undefined;
+    this.item.dispose();
+  }
+}
+
+/**
+ * Pushes the latest developer state to the status bar and every open view, so they all
+ * stay in sync whichever of them triggered the change.
+ */
+function broadcastDeveloper() {
+  DeveloperStatusBar.current?.update();
+  DeveloperPanel.currentPanel?.updateDeveloper();
+  DeveloperSidebarProvider.current?.updateDeveloper();
+}
+
+/**
+ * Helper to get the emoji corresponding to a specific mood.
+ */
+function getMoodEmoji(mood: string): string {
+  const emojis: Record<string, string> = {
+    productive: '🚀',
+    neutral: '💻',
+    stressed: '😰',
+    tired: '😴',
+    'burnt-out': '🔥',
+    caffeinated: '☕',
+    sleeping: '💤',
+    flow: '🌊'
+  };
+  return emojis[mood] || '👨‍💻';
+}
+
+/**
+ * Measures typing activity from document edits: edit rate, uninterrupted streaks,
+ * actively spent time and file switching. Flow is a long streak at a steady rate.
+ * Nothing here is persisted; a window reload starts a fresh streak.
+ */
+class TypingTracker {
+  private static readonly RATE_WINDOW = 5 * 60 * 1000;   // Window for edits per minute
+  private static readonly PAUSE = 2 * 60 * 1000;         // Gap that ends a streak
+  private static readonly LONG_PAUSE = 10 * 60 * 1000;   // Gap that loses the mental context
+  private static readonly FLOW_MIN_RATE = 10;            // Edits per minute needed to stay in flow
+  private static readonly SWITCH_LIMIT = 10;             // File switches per rate window before it counts as thrashing
+
+  private editTimes: number[] = [];
+  private switchTimes: number[] = [];
+  private lastEdit = 0;
+  private streakStart = 0;
+  private activeMs = new Map<string, { file: QuestEventFile; ms: number }>(); // Active time per file path
+  private flow = false;
+
+  /**
+   * Records an edit in `file`. The time since the previous edit counts as active time in that file.
+   * Reports whether it started flow or ended a streak after a long pause.
+   */
+  recordEdit(minStreakMinutes: number, file: QuestEventFile, now: number = Date.now()): 'flow-started' | 'long-pause' | undefined {
+    const gap = this.lastEdit ? now - this.lastEdit : Infinity;
+    let event: 'flow-started' | 'long-pause' | undefined;
+
+    if (gap < TypingTracker.PAUSE) {
+      const entry = this.activeMs.get(file.path) ?? { file, ms: 0 };
+      entry.ms += gap;
+      this.activeMs.set(file.path, entry);
+    } else {
+      if (this.lastEdit && gap >= TypingTracker.LONG_PAUSE) event = 'long-pause';
+      this.streakStart = now;
+      this.flow = false;
+    }
+    this.lastEdit = now;
+    this.editTimes.push(now);
+    this.prune(now);
+
+    if (!this.flow && now - this.streakStart >= minStreakMinutes * 60 * 1000 && this.getEditsPerMinute(now) >= TypingTracker.FLOW_MIN_RATE) {
+      this.flow = true;
+      event = 'flow-started';
+    }
+    return event;
+  }
+
+  /**
+   * Records switching to another editor. Returns true when switching has become thrashing,
+   * which breaks the current streak.
+   */
+  recordSwitch(now: number = Date.now()): boolean {
+    this.switchTimes.push(now);
+    this.prune(now);
+    if (this.switchTimes.length < TypingTracker.SWITCH_LIMIT) return false;
+    this.switchTimes = [];
+    this.streakStart = now;
+    this.flow = false;
+    return true;
+  }
+
+  isInFlow(now: number = Date.now()): boolean {
+    if (this.flow && (now - this.lastEdit >= TypingTracker.PAUSE || this.getEditsPerMinute(now) < TypingTracker.FLOW_MIN_RATE)) {
+      this.flow = false;
+    }
+    return this.flow;
+  }
+
+  getEditsPerMinute(now: number = Date.now()): number {
+    this.prune(now);
+    return this.editTimes.length / (TypingTracker.RATE_WINDOW / 60000);
+  }
+
+  /**
+   * Returns the active minutes per file accumulated since the last call and resets the tally.
+   */
+  takeActiveMinutes(): { file: QuestEventFile; minutes: number }[] {
+    const entries = [...this.activeMs.values()].map(({ file, ms }) => ({ file, minutes: ms / 60000 }));
+    this.activeMs.clear();
+    return entries;
+  }
+
+  private prune(now: number) {
+    const cutoff = now - TypingTracker.RATE_WINDOW;
+    while (this.editTimes.length && this.editTimes[0] < cutoff) this.editTimes.shift();
+    while (this.switchTimes.length && this.switchTimes[0] < cutoff) this.switchTimes.shift();
+  }
+}
+
+type Presence = 'active' | 'idle' | 'away';
+
+/**
+ * Tells active, idle and away time apart from window focus and the last editor interaction.
+ * Time before this session started (VS Code was closed) always counts as away.
+ */
+class PresenceTracker {
+  private readonly sessionStart = Date.now();
+  private lastInteraction = this.sessionStart;
+  private unfocusedSince: number | undefined;
+
+  constructor(focused: boolean) {
+    if (!focused) this.unfocusedSince = this.sessionStart;
+  }
+
+  setFocused(focused: boolean, now: number = Date.now()) {
+    if (focused) this.unfocusedSince = undefined;
+    else if (this.unfocusedSince === undefined) this.unfocusedSince = now;
+  }
+
+  recordInteraction(now: number = Date.now()) {
+    this.lastInteraction = now;
+  }
+
+  getLastInteraction(): number {
+    return this.lastInteraction;
+  }
+
+  getState(settings: DevGotchiSettings, now: number = Date.now()): Presence {
+    const { idleMs, awayMs } = this.getThresholds(settings);
+    const since = now - this.lastInteraction;
+    if (since >= awayMs) return 'away';
+    if (since >= idleMs || this.unfocusedSince !== undefined) return 'idle';
+    return 'active';
+  }
+
+  /**
+   * Splits the interval [from, to) into milliseconds of active, idle and away time.
+   */
+  splitElapsed(from: number, to: number, settings: DevGotchiSettings): Record<Presence, number> {
+    const { idleMs, awayMs } = this.getThresholds(settings);
+    const overlap = (start: number, end: number) => Math.max(0, Math.min(end, to) - Math.max(start, from));
+    const idleAt = Math.min(this.lastInteraction + idleMs, this.unfocusedSince ?? Infinity);
+    const awayAt = this.lastInteraction + awayMs;
+    return {
+      active: overlap(this.sessionStart, Math.min(idleAt, awayAt)),
+      idle: overlap(Math.max(this.sessionStart, idleAt), awayAt),
+      away: overlap(-Infinity, this.sessionStart) + overlap(Math.max(this.sessionStart, awayAt), Infinity)
+    };
+  }
+
+  private getThresholds(settings: DevGotchiSettings) {
+    const idleMs = Math.max(1, settings.idleMinutes) * 60000;
+    return { idleMs, awayMs: Math.max(idleMs, settings.awayMinutes * 60000) };
+  }
+}
+
+/** How much a warning counts against an error in fix rewards and linter stress. */
+const WARNING_WEIGHT = 0.25;
+
+interface DiagnosticCounts {
+  errors: number;
+  warnings: number;
+}
+
+/**
+ * Keeps error and warning counts per file. A drop only counts as a fix when the user
+ * edited that file since its last counted fix; files closing or a language server
+ * restarting make diagnostics vanish without anyone fixing anything.
+ */
+class DiagnosticsTracker {
+  private files = new Map<string, DiagnosticCounts>();
+  private edited = new Set<string>(); // Files edited since their last counted fix
+
+  static count(diagnostics: readonly vscode.Diagnostic[]): DiagnosticCounts {
+    return {
+      errors: diagnostics.filter(d => d.severity === vscode.DiagnosticSeverity.Error).length,
+      warnings: diagnostics.filter(d => d.severity === vscode.DiagnosticSeverity.Warning).length
+    };
+  }
+
+  markEdited(uri: string) {
+    this.edited.add(uri);
+  }
+
+  /**
+   * Records new counts for one file and returns how many problems were fixed and introduced.
+   */
+  update(uri: string, counts: DiagnosticCounts, isOpen: boolean): { fixed: DiagnosticCounts; introduced: DiagnosticCounts } {
+    const before = this.files.get(uri) ?? { errors: 0, warnings: 0 };
+    if (counts.errors === 0 && counts.warnings === 0) this.files.delete(uri);
+    else this.files.set(uri, counts);
+
+    const fixed = { errors: Math.max(0, before.errors - counts.errors), warnings: Math.max(0, before.warnings - counts.warnings) };
+    const introduced = { errors: Math.max(0, counts.errors - before.errors), warnings: Math.max(0, counts.warnings - before.warnings) };
+    if (!isOpen) this.edited.delete(uri);
+    if (!isOpen || !this.edited.has(uri)) return { fixed: { errors: 0, warnings: 0 }, introduced };
+    if (fixed.errors > 0 || fixed.warnings > 0) this.edited.delete(uri);
+    return { fixed, introduced };
+  }
+
+  /** Errors plus warnings at their lower weight, across all files. */
+  getWeightedTotal(): number {
+    let total = 0;
+    this.files.forEach(c => total += weighDiagnostics(c));
+    return total;
+  }
+}
+
+function weighDiagnostics(counts: DiagnosticCounts): number {
+  return counts.errors + counts.warnings * WARNING_WEIGHT;
+}
+
+type RewardSource = 'save' | 'git' | 'task' | 'fix' | 'debug' | 'pomodoro' | 'break' | 'game' | 'manual';
+
+/** Rewarded events allowed per source in any one minute. */
+const REWARD_CAPS_PER_MINUTE: Record<RewardSource, number> = {
+  save: 6, git: 5, task: 6, fix: 20, debug: 3, pomodoro: 2, break: 2, game: 3, manual: 2
+};
+
+/**
+ * Shared gate for every reward the developer can earn. Each source has a per-minute cap,
+ * repeated events on the same key (usually a file) pay less and less, and saves only pay
+ * when the content changed since the last rewarded save. Nothing here is persisted.
+ */
+export class RewardGuard {
+  private static readonly MINUTE = 60 * 1000;
+  private static readonly REPEAT_WINDOW = 10 * 60 * 1000; // Repeats this close together pay less
+  private static readonly REPEAT_DECAY = 0.75;            // Share kept per earlier repeat
+  private static readonly MIN_SHARE = 0.1;
+
+  private events = new Map<RewardSource, number[]>();
+  private repeats = new Map<string, number[]>();
+  private rewardedContent = new Map<string, string>(); // Content hash at the last rewarded save
+
+  /**
+   * Returns the share (0-1) of its reward an event may pay and records it if it pays anything.
+   * Pass a content hash to reject events whose content is the same as last time.
+   */
+  check(source: RewardSource, key?: string, contentHash?: string, now: number = Date.now()): number {
+    const repeatKey = key !== undefined ? `${source}:${key}` : undefined;
+    if (repeatKey && contentHash !== undefined && this.rewardedContent.get(repeatKey) === contentHash) return 0;
+
+    const recent = (this.events.get(source) || []).filter(t => now - t < RewardGuard.MINUTE);
+    this.events.set(source, recent);
+    if (recent.length >= REWARD_CAPS_PER_MINUTE[source]) return 0;
+
+    let share = 1;
+    if (repeatKey) {
+      const earlier = (this.repeats.get(repeatKey) || []).filter(t => now - t < RewardGuard.REPEAT_WINDOW);
+      share = Math.max(RewardGuard.MIN_SHARE, Math.pow(RewardGuard.REPEAT_DECAY, earlier.length));
+      earlier.push(now);
+      this.repeats.set(repeatKey, earlier);
+      if (contentHash !== undefined) this.rewardedContent.set(repeatKey, contentHash);
+    }
+    recent.push(now);
+    return share;
+  }
+}
+
+type GameId = 'bug-hunt' | 'speed-test' | 'boss' | 'lint-boss' | 'quiz';
+
+/**
+ * One quiz question. `answer` is the index of the right choice and never leaves the host.
+ */
+interface QuizQuestion {
+  kind: 'output' | 'bug';
+  code: string;
+  question?: string;   // Defaults to "What does this print?" for output questions
+  choices: string[];
+  answer: number;
+  explanation: string;
+}
+
+/**
+ * A JSON file of quiz questions for one language. Built-in packs ship in media/quizzes;
+ * users can add their own through `devgotchi.quiz.packFolders`.
+ */
+interface QuizPack {
+  language: string;    // VS Code language id, or "any" for language-agnostic questions
+  name: string;
+  questions: QuizQuestion[];
+}
+
+/** Progress through a quiz run, kept on the host. */
+interface QuizRun {
+  questions: QuizQuestion[];
+  next: number;        // Index of the next question to ask
+  askedAt: number;     // When the current question was sent, 0 once it was answered
+  streak: number;
+  bestStreak: number;
+  correct: number;
+  score: number;
+}
+
+const QUIZ_QUESTIONS_PER_RUN = 5;
+const QUIZ_SECONDS_PER_QUESTION = 20;
+
+/**
+ * Checks a quiz pack against the QuizPack shape. Returns a list of problems;
+ * an empty list means the pack can be used.
+ */
+export function validateQuizPack(pack: any): string[] {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return ['Pack is not an object'];
+  const errors: string[] = [];
+  if (typeof pack.language !== 'string' || !pack.language) errors.push('language is missing');
+  if (typeof pack.name !== 'string' || !pack.name) errors.push('name is missing');
+  if (!Array.isArray(pack.questions) || pack.questions.length === 0) return [...errors, 'questions must be a non-empty array'];
+  pack.questions.forEach((q: any, i: number) => {
+    if (!q || typeof q !== 'object') return errors.push(`questions[${i}] is not an object`);
+    if (q.kind !== 'output' && q.kind !== 'bug') errors.push(`questions[${i}].kind must be "output" or "bug"`);
+    if (typeof q.code !== 'string') errors.push(`questions[${i}].code must be a string`);
+    if (q.question !== undefined && typeof q.question !== 'string') errors.push(`questions[${i}].question must be a string`);
+    if (!Array.isArray(q.choices) || q.choices.length < 2 || q.choices.some((c: unknown) => typeof c !== 'string')) {
+      errors.push(`questions[${i}].choices must list at least two strings`);
+    } else if (!Number.isInteger(q.answer) || q.answer < 0 || q.answer >= q.choices.length) {
+      errors.push(`questions[${i}].answer must be the index of a choice`);
+    }
+    if (typeof q.explanation !== 'string') errors.push(`questions[${i}].explanation must be a string`);
+  });
+  return errors;
+}
+
+/**
+ * A mini-game run issued by the extension host. The webview only gets to play the
+ * content; timing and scoring happen here.
+ */
+interface ChallengeSession {
+  id: string;
+  game: GameId;
+  startedAt: number;
+  content: string[];   // Lines the player must type, in order
+  language?: string;   // Language id the lines were taken from
+  timeLimitMs: number;
+  hp?: number;         // Lint Boss: weighted problems left to fix
+  maxHp?: number;
+  targets?: Map<string, DiagnosticCounts>; // Lint Boss: problems per file still standing from the start
+  quiz?: QuizRun;
+  inputs: { at: number; ok: boolean }[]; // Bug Hunt squashes and Speed Test keystrokes, as the host saw them
+}
+
+/** What the webview reports when a run ends. */
+interface ChallengeReport {
+  typed?: string[];    // Speed Test / Boss Battle: the lines as typed
+}
+
+/** A verified run, ready to be paid out. */
+interface ChallengeOutcome {
+  game: GameId;
+  score: number;
+  durationMs: number;
+  language?: string;
+  wpm?: number;
+  accuracy?: number;   // 0-1
+}
+
+/** File extensions searched for snippets, per VS Code language id. */
+const LANGUAGE_EXTENSIONS: Record<string, string[]> = {
+  typescript: ['ts'], typescriptreact: ['tsx'], javascript: ['js', 'mjs', 'cjs'], javascriptreact: ['jsx'],
+  python: ['py'], java: ['java'], csharp: ['cs'], go: ['go'], rust: ['rs'], cpp: ['cpp', 'cc', 'hpp'],
+  c: ['c', 'h'], ruby: ['rb'], php: ['php'], kotlin: ['kt'], swift: ['swift'], dart: ['dart'],
+  scala: ['scala'], shellscript: ['sh'], vue: ['vue'], svelte: ['svelte']
+};
+
+const SNIPPET_EXCLUDE = '**/{node_modules,.git,dist,out,build,vendor,coverage}/**';
+const MAX_SNIPPET_FILE_BYTES = 200 * 1024;
+
+/**
+ * Checks whether a source line makes a good typing exercise: short, plain ASCII,
+ * real code rather than a comment, and nothing that looks like a key or hash.
+ */
+function isTypeableLine(line: string): boolean {
+  return line.length >= 12 && line.length <= 60 &&
+    /^[\x20-\x7e]+$/.test(line) &&
+    /[a-zA-Z]{2}/.test(line) &&
+    !/^(\/\/|\/\*|\*|#|--|<!--)/.test(line) &&
+    !/[A-Za-z0-9+\/=_-]{24,}/.test(line);
+}
+
+/**
+ * Picks `count` typeable lines from workspace files in the given languages, tried in order.
+ * Returns the lines and the language they came from, or undefined if nothing fits.
+ */
+async function pickWorkspaceSnippets(languages: string[], count: number): Promise<{ lines: string[]; language: string } | undefined> {
+  for (const language of languages) {
+    const extensions = LANGUAGE_EXTENSIONS[language];
+    if (!extensions) continue;
+    const files = await vscode.workspace.findFiles(`**/*.{${extensions.join(',')}}`, SNIPPET_EXCLUDE, 50);
+    const candidates = new Set<string>();
+    for (const file of files.sort(() => 0.5 - Math.random()).slice(0, 10)) {
+      try {
+        const bytes = await vscode.workspace.fs.readFile(file);
+        if (bytes.byteLength > MAX_SNIPPET_FILE_BYTES) continue;
+        Buffer.from(bytes).toString('utf8').split(/\r?\n/).map(line => line.trim()).filter(isTypeableLine).forEach(line => candidates.add(line));
+      } catch {
+        // Unreadable files just don't contribute
+      }
+    }
+    if (candidates.size >= count) {
+      return { lines: [...candidates].sort(() => 0.5 - Math.random()).slice(0, count), language };
+    }
+  }
+  return undefined;
+}
+
+const BOSS_SNIPPETS = [
+  "git commit -m 'fix'", "npm install", "console.log(err)",
+  "while(true) {}", "if (err) throw err;", "return false;",
+  "import * as fs from 'fs';", "const x = 10;",
+  "await Promise.all([]);", "class Monster extends Bug {}"
+];
+
+/** Faster than this per typed character is not humanly possible. */
+const MIN_MS_PER_CHAR = 40;
+/** Slack for message latency between the webview and the host. */
+const CHALLENGE_GRACE_MS = 2000;
+/** Bugs show up a second apart, so two squashes closer than this can't both be real. */
+const MIN_MS_BETWEEN_HITS = 250;
+
+/**
+ * Rules for each mini-game: what the host issues, how long a run may take,
+ * how many runs pay per day, and how a reported result is scored.
+ * `score` returns undefined for results that cannot have happened.
+ */
+const CHALLENGES: Record<GameId, {
+  name: string;
+  dailyRewards: number;
+  timeLimitMs: number;
+  // Resolves to undefined when there is nothing to play with
+  createContent(languages: string[], catalog: ContentCatalog): Promise<{ content: string[]; language?: string; hp?: number; targets?: Map<string, DiagnosticCounts>; quiz?: QuizQuestion[] } | undefined>;
+  score(session: ChallengeSession, report: ChallengeReport, elapsedMs: number): Omit<ChallengeOutcome, 'game' | 'durationMs'> | undefined;
+}> = {
+  'bug-hunt': {
+    name: 'Bug Hunt',
+    dailyRewards: 5,
+    timeLimitMs: 20000,
+    createContent: async () => ({ content: [] }),
+    score: (session, _report, elapsedMs) => {
+      if (elapsedMs < session.timeLimitMs - CHALLENGE_GRACE_MS) return undefined;
+      // One bug spawns per second, so a run can't squash more bugs than it lasted seconds
+      let hits = 0;
+      let last = -Infinity;
+      for (const { at } of session.inputs) {
+        if (at - last < MIN_MS_BETWEEN_HITS) continue;
+        hits++;
+        last = at;
+      }
+      return { score: Math.min(hits, session.timeLimitMs / 1000) * 10 };
+    }
+  },
+  'speed-test': {
+    name: 'Speed Test',
+    dailyRewards: 5,
+    timeLimitMs: 5 * 60 * 1000,
+    createContent: async languages => {
+      const picked = await pickWorkspaceSnippets(languages, 1);
+      // The fallback line isn't the user's code, so it has no language and sets no personal best
+      return picked ? { content: picked.lines, language: picked.language } : { content: ["console.log('hello');"] };
+    },
+    score: (session, report, elapsedMs) => {
+      if (!isTypedExactly(session, report, elapsedMs)) return undefined;
+      const chars = session.content[0].length;
+      // Keystrokes are counted and timed as they reach the host. Key rollover and batched
+      // messages make some arrive close together, but most must come at a human pace.
+      const keystrokes = session.inputs.length;
+      const errors = session.inputs.filter(input => !input.ok).length;
+      const rushed = session.inputs.filter((input, i) => i > 0 && input.at - session.inputs[i - 1].at < MIN_MS_PER_CHAR).length;
+      if (keystrokes < chars || rushed > keystrokes / 4) return undefined;
+      // Standard WPM counts five characters as a word
+      const wpm = Math.round(chars / 5 / (elapsedMs / 60000));
+      const accuracy = (keystrokes - errors) / keystrokes;
+      return { score: Math.min(300, Math.max(20, Math.round(wpm * 3 * accuracy))), language: session.language, wpm, accuracy };
+    }
+  },
+  boss: {
+    name: 'Boss Battle',
+    dailyRewards: 3,
+    timeLimitMs: 45000,
+    // Five hits of 20 HP defeat the boss
+    createContent: async (languages, catalog) => {
+      const picked = await pickWorkspaceSnippets(languages, 5);
+      return { content: picked?.lines ?? Array.from({ length: 5 }, () => catalog.snippets[Math.floor(Math.random() * catalog.snippets.length)]) };
+    },
+    score: (session, report, elapsedMs) => {
+      if (!isTypedExactly(session, report, elapsedMs)) return undefined;
+      const secondsLeft = Math.max(0, Math.floor((session.timeLimitMs - elapsedMs) / 1000));
+      return { score: 100 + secondsLeft * 10 };
+    }
+  },
+  'lint-boss': {
+    name: 'Lint Boss',
+    dailyRewards: 2,
+    timeLimitMs: 15 * 60 * 1000,
+    // The boss is made of the workspace's problems at the start; only real fixes of those in the editor hurt it
+    createContent: async () => {
+      const diagnostics = vscode.languages.getDiagnostics();
+      const targets = new Map<string, DiagnosticCounts>();
+      diagnostics.forEach(([uri, diags]) => {
+        const counts = DiagnosticsTracker.count(diags);
+        if (counts.errors > 0 || counts.warnings > 0) targets.set(uri.toString(), counts);
+      });
+      if (targets.size === 0) return undefined;
+      const content = diagnostics
+        .flatMap(([uri, diags]) => diags
+          .filter(d => d.severity === vscode.DiagnosticSeverity.Error || d.severity === vscode.DiagnosticSeverity.Warning)
+          .map(d => ({ uri, diagnostic: d })))
+        .sort((a, b) => a.diagnostic.severity - b.diagnostic.severity)
+        .slice(0, 8)
+        .map(({ uri, diagnostic }) => `${vscode.workspace.asRelativePath(uri)}:${diagnostic.range.start.line + 1} ${diagnostic.message.split('\n')[0]}`);
+      let hp = 0;
+      targets.forEach(counts => hp += weighDiagnostics(counts));
+      return { content, hp, targets };
+    },
+    score: session => {
+      if (session.hp === undefined || session.hp > 0) return undefined;
+      return { score: Math.min(600, 250 + Math.round(session.maxHp! * 25)) };
+    }
+  },
+  quiz: {
+    name: 'Code Quiz',
+    dailyRewards: 5,
+    timeLimitMs: 10 * 60 * 1000,
+    // Questions come from the pack of the most edited language that has one
+    createContent: async (languages, catalog) => {
+      const packs = catalog.quizzes;
+      const language = [...languages, 'any'].find(l => packs.some(p => p.language === l)) ?? packs[0]?.language;
+      if (!language) return undefined;
+      const questions = packs.filter(p => p.language === language).flatMap(p => p.questions);
+      return { content: [], language, quiz: questions.sort(() => 0.5 - Math.random()).slice(0, QUIZ_QUESTIONS_PER_RUN) };
+    },
+    score: session => {
+      const quiz = session.quiz;
+      if (!quiz || quiz.next < quiz.questions.length || quiz.askedAt !== 0) return undefined;
+      return { score: quiz.score };
+    }
+  }
+};
+
+/**
+ * Checks that every issued line was typed back verbatim, and not faster than a human can type.
+ */
+function isTypedExactly(session: ChallengeSession, report: ChallengeReport, elapsedMs: number): boolean {
+  const typed = report.typed;
+  if (!Array.isArray(typed) || typed.length !== session.content.length) return false;
+  if (typed.some((line, i) => line !== session.content[i])) return false;
+  const chars = session.content.reduce((sum, line) => sum + line.length, 0);
+  return elapsedMs >= chars * MIN_MS_PER_CHAR;
+}
+
+/**
+ * Mini-game runs of one webview. Only one run is live at a time; starting another
+ * one or closing the view abandons it.
+ */
+export class ChallengeSessions {
+  private current: ChallengeSession | undefined;
+
+  constructor(private catalog: ContentCatalog) {}
+
+  /**
+   * Issues a new run. Snippet games draw from `languages`, most used first.
+   * The clock starts once the content is ready.
+   */
+  async start(game: GameId, languages: string[]): Promise<ChallengeSession | undefined> {
+    const rules = CHALLENGES[game];
+    const created = await rules.createContent(languages, this.catalog);
+    if (!created) return undefined;
+    const { content, language, hp, targets } = created;
+    const quiz = created.quiz && { questions: created.quiz, next: 0, askedAt: 0, streak: 0, bestStreak: 0, correct: 0, score: 0 };
+    this.current = { id: crypto.randomUUID(), game, startedAt: Date.now(), content, language, timeLimitMs: rules.timeLimitMs, hp, maxHp: hp, targets, quiz, inputs: [] };
+    return this.current;
+  }
+
+  /**
+   * Quiz: hands out the next question without its answer and starts its clock.
+   */
+  askQuestion(sessionId: string, now: number = Date.now()) {
+    const quiz = this.current?.id === sessionId ? this.current.quiz : undefined;
+    if (!quiz || quiz.askedAt !== 0 || quiz.next >= quiz.questions.length) return undefined;
+    const { kind, code, question, choices } = quiz.questions[quiz.next];
+    quiz.askedAt = now;
+    return {
+      index: quiz.next,
+      total: quiz.questions.length,
+      code,
+      question: question ?? (kind === 'output' ? 'What does this print?' : 'What is the bug?'),
+      choices,
+      seconds: QUIZ_SECONDS_PER_QUESTION
+    };
+  }
+
+  /**
+   * Quiz: scores an answer to the current question. Late answers count as wrong.
+   * Right answers pay more the faster they come and the longer the streak.
+   */
+  answerQuestion(sessionId: string, choice: number, now: number = Date.now()) {
+    const quiz = this.current?.id === sessionId ? this.current.quiz : undefined;
+    if (!quiz || quiz.askedAt === 0) return undefined;
+    const question = quiz.questions[quiz.next];
+    const secondsLeft = QUIZ_SECONDS_PER_QUESTION - (now - quiz.askedAt) / 1000;
+    const correct = choice === question.answer && secondsLeft > -CHALLENGE_GRACE_MS / 1000;
+    quiz.next++;
+    quiz.askedAt = 0;
+
+    let points = 0;
+    if (correct) {
+      quiz.correct++;
+      quiz.streak++;
+      quiz.bestStreak = Math.max(quiz.bestStreak, quiz.streak);
+      points = 20 + (quiz.streak - 1) * 10 + Math.round(Math.max(0, secondsLeft) / 2);
+      quiz.score += points;
+    } else {
+      quiz.streak = 0;
+    }
+    return {
+      correct,
+      answer: question.answer,
+      explanation: question.explanation,
+      points,
+      streak: quiz.streak,
+      score: quiz.score,
+      done: quiz.next >= quiz.questions.length
+    };
+  }
+
+  /**
+   * Bug Hunt / Speed Test: logs a squash or a keystroke as it reaches the host, so the
+   * score comes from the host's own count and clock. A keystroke carries the input's
+   * value and is a mistake unless the value still starts the line.
+   */
+  recordInput(sessionId: string, value: unknown, now: number = Date.now()) {
+    const session = this.current;
+    if (!session || session.id !== sessionId || (session.game !== 'bug-hunt' && session.game !== 'speed-test')) return;
+    const ok = session.game === 'bug-hunt' || (typeof value === 'string' && session.content[0].startsWith(value));
+    session.inputs.push({ at: now, ok });
+  }
+
+  abandon() {
+    this.current = undefined;
+  }
+
+  /**
+   * Lint Boss: takes the current counts of files with problems fixed in the editor. A file
+   * only hurts the boss as its count drops below the lowest seen since the run began, so
+   * problems introduced during the run and fixed again do no damage.
+   * Returns the session if it took a hit.
+   */
+  damage(fixes: { uri: string; counts: DiagnosticCounts }[], now: number = Date.now()): ChallengeSession | undefined {
+    const session = this.current;
+    if (!session?.targets || now - session.startedAt > session.timeLimitMs) return undefined;
+    let weight = 0;
+    fixes.forEach(({ uri, counts }) => {
+      const left = session.targets!.get(uri);
+      if (!left) return;
+      const remaining = { errors: Math.min(left.errors, counts.errors), warnings: Math.min(left.warnings, counts.warnings) };
+      weight += weighDiagnostics(left) - weighDiagnostics(remaining);
+      session.targets!.set(uri, remaining);
+    });
+    if (weight === 0) return undefined;
+    session.hp = Math.max(0, session.hp! - weight);
+    return session;
+  }
+
+  /**
+   * Ends the run and scores the reported result. Returns an error message for unknown,
+   * expired or impossible runs.
+   */
+  finish(sessionId: string, report: ChallengeReport, now: number = Date.now()): ChallengeOutcome | string {
+    const session = this.current;
+    if (!session || session.id !== sessionId) return 'This game is no longer running.';
+    this.current = undefined;
+
+    const elapsedMs = now - session.startedAt;
+    if (elapsedMs > session.timeLimitMs + CHALLENGE_GRACE_MS) return 'Time ran out before the result came in.';
+    const scored = CHALLENGES[session.game].score(session, report || {}, elapsedMs);
+    if (scored === undefined) return 'That result is not possible, so it was not rewarded.';
+    return { ...scored, game: session.game, durationMs: elapsedMs };
+  }
+}
+
+type PomodoroPhase = 'off' | 'work' | 'break';
+
+/**
+ * Pomodoro cycle and the timed breaks behind the Break button. A break only pays out in
+ * full if the editor stays untouched for its whole length; coming back early pays a share.
+ * Work sessions finished back to back, each followed by a proper break, form a sequence.
+ */
+class PomodoroTimer implements vscode.Disposable {
+  private phase: PomodoroPhase = 'off';
+  private phaseStart = 0;
+  private phaseEnd = 0;
+  private sequence = 0;          // Work sessions completed in a row
+  private awaitingBreak = false; // A work session finished and its break is still due
+  private ticker: NodeJS.Timeout | undefined;
+  private readonly statusBarItem: vscode.StatusBarItem;
+
+  constructor(private devManager: DeveloperManager, private onChange: () => void) {
+    this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 99);
+    this.statusBarItem.command = 'devgotchi.togglePomodoro';
+    this.render();
+    this.statusBarItem.show();
+  }
+
+  getState() {
+    return { phase: this.phase, endsAt: this.phaseEnd, sequence: this.sequence };
+  }
+
+  /**
+   * Starts a work session, or stops whatever is running.
+   */
+  toggle() {
+    if (this.phase === 'off') return this.startWork();
+    if (this.phase === 'break') return this.endBreak();
+    this.resetSequence();
+    this.setPhase('off');
+    return { success: true, message: '🍅 Pomodoro stopped.' };
+  }
+
+  startWork() {
+    // Skipping the break after a session breaks the sequence
+    if (this.awaitingBreak) this.resetSequence();
+    const minutes = getSettings().pomodoroWorkMinutes;
+    this.setPhase('work', minutes);
+    return { success: true, message: `🍅 Focus for ${minutes} minutes!` };
+  }
+
+  /**
+   * Starts a timed break, or ends the running one early.
+   */
+  toggleBreak() {
+    if (this.phase === 'break') return this.endBreak();
+    // Walking away from a running work session abandons it
+    if (this.phase === 'work') this.resetSequence();
+
+    const settings = getSettings();
+    const isLong = this.awaitingBreak && this.sequence % Math.max(1, settings.pomodoroLongBreakEvery) === 0;
+    const minutes = isLong ? settings.pomodoroLongBreakMinutes : settings.pomodoroBreakMinutes;
+    this.setPhase('break', minutes);
+    return { success: true, message: `🌴 Break started. Step away for ${minutes} minutes!` };
+  }
+
+  /**
+   * Ends the break and pays out for the share of it that was actually taken.
+   */
+  private endBreak(endedAt: number = Date.now()) {
+    const fraction = Math.min(1, (endedAt - this.phaseStart) / (this.phaseEnd - this.phaseStart));
+    const result = this.devManager.completeBreak(fraction);
+    if (fraction < 1) this.resetSequence();
+    this.awaitingBreak = false;
+    this.setPhase('off');
+    return result;
+  }
+
+  private finishWork() {
+    this.setPhase('off');
+    if (this.devManager.getPresence() === 'away') {
+      this.resetSequence();
+      vscode.window.showInformationMessage('🍅 Pomodoro ended while you were away, so it doesn\'t count.');
+      return;
+    }
+
+    this.sequence++;
+    this.awaitingBreak = true;
+    this.devManager.completePomodoro();
+    vscode.window.showInformationMessage(`🍅 Pomodoro #${this.sequence} complete! Time for a break.`, 'Start Break').then(choice => {
+      if (choice === 'Start Break' && this.phase === 'off') {
+        this.toggleBreak();
+        this.onChange();
+      }
+    });
+  }
+
+  private tick() {
+    const now = Date.now();
+    if (this.phase === 'break') {
+      const lastInteraction = this.devManager.getLastInteraction();
+      if (lastInteraction > this.phaseStart || now >= this.phaseEnd) {
+        const interrupted = lastInteraction > this.phaseStart;
+        const result = this.endBreak(interrupted ? lastInteraction : this.phaseEnd);
+        const message = interrupted ? `Break cut short. ${result.message}` : result.message;
+        vscode.window.showInformationMessage(message, 'Start Pomodoro').then(choice => {
+          if (choice === 'Start Pomodoro' && this.phase === 'off') {
+            this.startWork();
+            this.onChange();
+          }
+        });
+        this.onChange();
+        return;
+      }
+    } else if (this.phase === 'work' && now >= this.phaseEnd) {
+      this.finishWork();
+      this.onChange();
+      return;
+    }
+    this.render();
+  }
+
+  private setPhase(phase: PomodoroPhase, minutes: number = 0) {
+    this.phase = phase;
+    this.phaseStart = Date.now();
+    this.phaseEnd = this.phaseStart + minutes * 60000;
+    if (this.ticker) clearInterval(this.ticker);
+    this.ticker = phase === 'off' ? undefined : setInterval(() => this.tick(), 1000);
+    this.render();
+  }
+
+  private resetSequence() {
+    this.sequence = 0;
+    this.awaitingBreak = false;
+    this.devManager.resetQuestProgress('pomodoro');
+  }
+
+  private render() {
+    const remaining = Math.max(0, this.phaseEnd - Date.now());
+    const clock = `${Math.floor(remaining / 60000)}:${String(Math.floor(remaining / 1000) % 60).padStart(2, '0')}`;
+    if (this.phase === 'work') {
+      this.statusBarItem.text = `🍅 ${clock}`;
+      this.statusBarItem.tooltip = `Pomodoro in progress (${this.sequence} in a row). Click to stop.`;
+    } else if (this.phase === 'break') {
+      this.statusBarItem.text = `🌴 ${clock}`;
+      this.statusBarItem.tooltip = 'On a break. Stay away from the editor for the full reward. Click to end early.';
+    } else {
+      this.statusBarItem.text = '🍅';
+      this.statusBarItem.tooltip = this.sequence > 0 ? `Start the next Pomodoro (${this.sequence} in a row)` : 'Start a Pomodoro';
+    }
+  }
+
+  dispose() {
+    if (this.ticker) clearInterval(this.ticker);
+    this.statusBarItem.dispose();
+  }
+}
+
+/**
+ * Bounded time-series log of activity, stored in global state as one bucket per day.
+ * Buckets older than the configured retention are dropped on every write.
+ */
+class ActivityHistory {
+  private static readonly SAMPLE_INTERVAL = 15 * 60 * 1000;
+  private days: HistoryDay[];
+  private dirty = false; // Changes not yet written to globalState
+
+  constructor(private context: vscode.ExtensionContext) {
+    this.days = context.globalState.get<HistoryDay[]>('history') || [];
+  }
+
+  /**
+   * Adds to one of today's activity counters. Written out on the next flush.
+   */
+  record(counter: HistoryCounter, amount: number = 1) {
+    if (amount <= 0) return;
+    this.getToday()[counter] += amount;
+    this.dirty = true;
+  }
+
+  /**
+   * Stores a stat snapshot, at most once per sample interval.
+   */
+  sample(dev: ProgrammerStats) {
+    const today = this.getToday();
+    const last = today.samples[today.samples.length - 1];
+    const now = Date.now();
+    if (last && now - last.time < ActivityHistory.SAMPLE_INTERVAL) return;
+    today.samples.push({
+      time: now,
+      energy: Math.round(dev.energy),
+      motivation: Math.round(dev.motivation),
+      focus: Math.round(dev.focus),
+      health: Math.round(dev.health)
+    });
+    this.dirty = true;
+  }
+
+  /**
+   * Writes pending changes to global storage. Runs on every stats tick and on shutdown.
+   */
+  flush() {
+    if (!this.dirty) return;
+    this.dirty = false;
+    this.prune();
+    this.context.globalState.update('history', this.days);
+  }
+
+  getDays(): HistoryDay[] {
+    this.prune();
+    return this.days.map(d => ({ ...d, samples: [...d.samples] }));
+  }
 
-    if (git.repositories) git.repositories.forEach(hookRepo);
-    git.onDidOpenRepository(hookRepo);
+  private getToday(): HistoryDay {
+    const date = getDayKey(Date.now());
+    let today = this.days[this.days.length - 1];
+    if (!today || today.date !== date) {
+      today = { date, xp: 0, saves: 0, commits: 0, bugsFixed: 0, samples: [] };
+      this.days.push(today);
+    }
+    return today;
   }
 
-  // Linter Integration: Listen for diagnostics
-  const getErrorCount = () => {
-    return vscode.languages.getDiagnostics().reduce((acc, [uri, diags]) => {
-      return acc + diags.filter(d => d.severity === vscode.DiagnosticSeverity.Error).length;
-    }, 0);
-  };
-  devManager.setInitialErrorCount(getErrorCount());
-  context.subscriptions.push(
-    vscode.languages.onDidChangeDiagnostics(() => {
-      devManager.updateErrorCount(getErrorCount());
-      updateStatusBar();
-    })
-  );
+  private prune() {
+    const retention = Math.max(1, getSettings().historyRetentionDays);
+    const cutoff = getDayKey(Date.now() - (retention - 1) * 24 * 60 * 60 * 1000);
+    // Day keys sort lexicographically in date order
+    this.days = this.days.filter(d => d.date >= cutoff);
+  }
 }
 
 /**
- * Helper to get the emoji corresponding to a specific mood.
+ * A running debug session, with the problems fixed while it ran.
  */
-function getMoodEmoji(mood: string): string {
-  const emojis: Record<string, string> = {
-    productive: '🚀',
-    neutral: '💻',
-    stressed: '😰',
-    tired: '😴',
-    'burnt-out': '🔥',
-    caffeinated: '☕',
-    sleeping: '💤'
-  };
-  return emojis[mood] || '👨‍💻';
+interface TrackedDebugSession {
+  start: number;
+  fixed: number;       // Weighted errors and warnings fixed in edited files during the session
+  breakpoints: number; // Breakpoints set while the session ran
 }
 
+/** Debug sessions longer than this start to drain energy. */
+const LONG_DEBUG_MS = 30 * 60 * 1000;
+
 /**
  * Manages the state and logic of the developer avatar.
  * Handles persistence, stat calculations, and game mechanics.
@@ -171,64 +2599,108 @@ function getMoodEmoji(mood: string): string {
 class DeveloperManager {
   private developer: ProgrammerStats;
   private context: vscode.ExtensionContext;
-  private lastErrorCount: number = 0;
+  private diagnostics = new DiagnosticsTracker();
+  private typing = new TypingTracker();
+  private rewards = new RewardGuard();
+  private taskResults = new Map<string, boolean>(); // Last outcome per build/test task
+  private debugSessions = new Map<string, TrackedDebugSession>();
+  private presence = new PresenceTracker(vscode.window.state.focused);
+  private awaySnapshot: ProgrammerStats | undefined; // Stats when the user was last seen leaving
   
-  constructor(context: vscode.ExtensionContext) {
+  constructor(context: vscode.ExtensionContext, private history: ActivityHistory, private catalog: ContentCatalog) {
     this.context = context;
     this.developer = this.loadDeveloper();
+  }
+
+  /**
+   * Catches up on the time since the last session. Runs once content packs are loaded,
+   * so their skills, items and quests already count.
+   */
+  resume() {
+    // Everything since the last session is away time
+    const offline = Date.now() - this.developer.lastUpdated;
+    const before = { ...this.developer };
     this.updateStats();
+    if (offline >= getSettings().awayMinutes * 60000) this.showAwaySummary(offline, before);
   }
   
   /**
    * Loads developer state from global storage or creates a default one.
    */
   private loadDeveloper(): ProgrammerStats {
-    const saved = this.context.globalState.get<ProgrammerStats>('developer');
-    if (saved) {
-      // Ensure new properties exist on old saves
-      if (!saved.inventory) saved.inventory = [];
-      if (!saved.lastDailyBonus) saved.lastDailyBonus = 0;
-      if (!saved.streak) saved.streak = 0;
-      if (!saved.skills) saved.skills = [];
-      if (!saved.quests) saved.quests = [];
-      if (saved.questStreak === undefined) saved.questStreak = 0;
-      if (saved.dailyQuestsCompleted === undefined) saved.dailyQuestsCompleted = false;
-      if (saved.tutorialCompleted === undefined) saved.tutorialCompleted = false;
-      return saved;
+    const saved = this.context.globalState.get<any>('developer');
+    if (!saved) return createDefaultDeveloper();
+
+    const version = typeof saved.schemaVersion === 'number' ? saved.schemaVersion : 0;
+    if (version < SAVE_MIGRATIONS.length) {
+      // Keep the untouched save around in case a migration goes wrong. Only the latest one is
+      // kept; older releases stored one key per version, so clear those out.
+      this.context.globalState.keys()
+        .filter(key => key.startsWith('developer.backup.v'))
+        .forEach(key => this.context.globalState.update(key, undefined));
+      this.context.globalState.update('developer.backup', JSON.parse(JSON.stringify(saved)));
+      const migrated = migrateDeveloper(saved);
+      this.context.globalState.update('developer', migrated);
+      return migrated;
     }
-    return {
-      energy: 100,
-      motivation: 100,
-      focus: 100,
-      health: 100,
-      xp: 0,
-      level: 1,
-      lastUpdated: Date.now(),
-      mood: 'productive',
-      role: '👨‍💻',
-      name: 'Dev',
-      coffee: 50,
-      skills: [],
-      inventory: [],
-      lastDailyBonus: 0,
-      streak: 0,
-      quests: [],
-      questStreak: 0,
-      dailyQuestsCompleted: false,
-      tutorialCompleted: false
-    };
+    return saved;
   }
   
   /**
    * Persists the current state to global storage.
    */
   private saveDeveloper() {
+    this.checkAchievements();
     this.context.globalState.update('developer', this.developer);
   }
+
+  /**
+   * Unlocks every achievement whose condition is now met and pays out its reward.
+   */
+  private checkAchievements() {
+    for (const achievement of ACHIEVEMENTS) {
+      if (this.developer.achievements.includes(achievement.id) || !achievement.check(this.developer, this.catalog)) continue;
+      this.developer.achievements.push(achievement.id);
+      this.developer.coffee += achievement.reward;
+      const reward = achievement.reward > 0 ? ` (+${achievement.reward} ☕)` : '';
+      vscode.window.showInformationMessage(`🏆 Achievement Unlocked: ${achievement.emoji} ${achievement.name}${reward}`);
+    }
+  }
   
   getDeveloper(): ProgrammerStats {
     return { ...this.developer };
   }
+
+  /**
+   * Builds the public profile shared on the team leaderboard.
+   */
+  getProfile(): LeaderboardProfile {
+    this.rollWeek();
+    const dev = this.developer;
+    return {
+      id: dev.profileId,
+      name: dev.name,
+      role: dev.role,
+      level: dev.level,
+      // XP spent on previous levels (100 + 200 + ... + (level - 1) * 100) plus current progress
+      totalXp: 50 * dev.level * (dev.level - 1) + dev.xp,
+      streak: dev.streak || 0,
+      weeklyXp: dev.weeklyXp,
+      weekStart: dev.weekStart,
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Starts a fresh weekly XP tally once the week has changed.
+   */
+  private rollWeek() {
+    const weekStart = getWeekStart(Date.now());
+    if (this.developer.weekStart !== weekStart) {
+      this.developer.weekStart = weekStart;
+      this.developer.weeklyXp = 0;
+    }
+  }
   
   /**
    * Calculates stat decay based on time passed since last update.
@@ -236,33 +2708,58 @@ class DeveloperManager {
    */
   updateStats() {
     const now = Date.now();
-    const hoursPassed = (now - this.developer.lastUpdated) / (1000 * 60 * 60);
-    
-    let energyDecay = 4;
-    if (this.developer.inventory.includes('furn_chair')) energyDecay *= 0.85;
+    const settings = getSettings();
+    const hour = 1000 * 60 * 60;
+    const elapsed = this.presence.splitElapsed(this.developer.lastUpdated, now, settings);
+    const presence = this.presence.getState(settings, now);
+    const night = isNightHour(new Date().getHours(), settings);
+    if (presence === 'away' && !this.awaySnapshot) this.awaySnapshot = { ...this.developer };
+
+    // Decay only runs while the user is around and idle time drains at half rate
+    const hoursPassed = (elapsed.active + elapsed.idle * 0.5) / hour;
+    // Coding through the night hours burns energy faster
+    const energyHours = hoursPassed + (night ? elapsed.active * 0.5 / hour : 0);
     
-    let motivationDecay = 2;
-    if (this.developer.inventory.includes('acc_keyboard')) motivationDecay *= 0.85;
+    this.developer.activeEffects = this.developer.activeEffects.filter(e => e.expiresAt > now);
+    const energyDecay = settings.energyDecay * this.effect('energyDecay');
+    const motivationDecay = settings.motivationDecay * this.effect('motivationDecay');
     
-    this.developer.energy = Math.max(0, this.developer.energy - hoursPassed * energyDecay);
+    this.developer.energy = Math.max(0, this.developer.energy - energyHours * energyDecay);
     this.developer.motivation = Math.max(0, this.developer.motivation - hoursPassed * motivationDecay);
     
-    const focusDecay = this.developer.skills.includes('iron_focus') ? 2.1 : 3; // 30% slower
+    let focusDecay = settings.focusDecay * this.effect('focusDecay');
+    if (this.typing.isInFlow()) focusDecay *= 0.5;
     this.developer.focus = Math.max(0, this.developer.focus - hoursPassed * focusDecay);
+
+    // Long debug sessions wear the developer down
+    const debugStart = Math.min(...[...this.debugSessions.values()].map(d => d.start));
+    if (now - debugStart > LONG_DEBUG_MS && presence !== 'away') {
+      const debugDrain = 10 * this.effect('debugDrain'); // Per hour
+      this.developer.energy = Math.max(0, this.developer.energy - hoursPassed * debugDrain);
+    }
+
+    // Away time is rest: energy slowly recovers instead of draining
+    this.developer.energy = Math.min(100, this.developer.energy + (elapsed.away / hour) * 5);
     
     // Linter Stress: Active errors drain energy and motivation over time
-    if (this.lastErrorCount > 0) {
-      const stressFactor = this.lastErrorCount * 0.05;
+    const problemWeight = this.diagnostics.getWeightedTotal();
+    if (problemWeight > 0 && presence !== 'away') {
+      const stressFactor = problemWeight * 0.05;
       this.developer.energy = Math.max(0, this.developer.energy - stressFactor);
       this.developer.motivation = Math.max(0, this.developer.motivation - stressFactor);
     }
 
-    // Track active coding time for quests (ignore offline time > 5 mins)
-    if (hoursPassed < 0.083) { 
-      this.updateQuestProgress('time', hoursPassed * 60);
+    // Track active coding time for quests, measured from real typing
+    for (const { file, minutes } of this.typing.takeActiveMinutes()) {
+      if (minutes > 0) this.updateQuestProgress('time', minutes, { files: [file] });
     }
 
     this.checkDailyBonus();
+    this.checkDailyQuests();
+    this.checkWeeklyQuests();
+    this.checkGoalBudget();
+    this.ensureQuestChains();
+    this.expireGoals();
 
     this.developer.health = (this.developer.energy + this.developer.motivation + this.developer.focus) / 3;
     this.developer.mood = this.calculateMood();
@@ -274,10 +2771,12 @@ class DeveloperManager {
    * Determines the current mood based on stat thresholds.
    */
   private calculateMood(): ProgrammerStats['mood'] {
-    const hour = new Date().getHours();
-    if (hour >= 22 || hour < 6) return 'sleeping';
+    // At night the developer sleeps unless the user is still coding
+    const settings = getSettings();
+    if (isNightHour(new Date().getHours(), settings) && this.presence.getState(settings) !== 'active') return 'sleeping';
 
     if (this.developer.health < 30) return 'burnt-out';
+    if (this.typing.isInFlow()) return 'flow';
     if (this.developer.energy < 30) return 'tired';
     if (this.developer.focus < 30) return 'stressed';
     if (this.developer.coffee > 80) return 'caffeinated';
@@ -305,47 +2804,98 @@ class DeveloperManager {
       const bonus = 20 + (this.developer.streak * 5);
       this.developer.coffee += bonus;
       this.developer.lastDailyBonus = now;
-      this.generateDailyQuests();
       vscode.window.showInformationMessage(`🌞 Daily Login Bonus! +${bonus} ☕ (Streak: ${this.developer.streak} days)`);
     }
   }
 
   /**
-   * Generates 3 random daily quests.
+   * Generates 3 random daily quests once the local calendar day has changed, so they
+   * match the seed's day and teammates sharing a seed swap quests at the same time.
    */
-  private generateDailyQuests() {
-    // Reset quest streak if login streak was broken (streak === 1) or if yesterday's quests weren't completed
-    if (this.developer.streak === 1 || !this.developer.dailyQuestsCompleted) {
+  private checkDailyQuests() {
+    const now = Date.now();
+    const today = getDayKey(now);
+    if (this.developer.dailyQuestsDay === today) return;
+    const yesterday = new Date(now);
+    yesterday.setDate(yesterday.getDate() - 1);
+    // Reset quest streak if a day was skipped or if yesterday's quests weren't completed
+    if (this.developer.dailyQuestsDay !== getDayKey(yesterday.getTime()) || !this.developer.dailyQuestsCompleted) {
       this.developer.questStreak = 0;
     }
-    // Reset completion flag for the new day
+    // Reset completion flag and reroll price for the new day
     this.developer.dailyQuestsCompleted = false;
+    this.developer.questRerolls = 0;
 
-    const templates = [
-      { type: 'save', desc: 'Save Master: Save 30 files', target: 30, reward: 15 },
-      { type: 'save', desc: 'Typing Machine: Save 50 files', target: 50, reward: 25 },
-      { type: 'commit', desc: 'Committer: Push 2 commits', target: 2, reward: 30 },
-      { type: 'commit', desc: 'Ship It: Push 5 commits', target: 5, reward: 60 },
-      { type: 'fix', desc: 'Bug Zapper: Fix 3 errors', target: 3, reward: 20 },
-      { type: 'fix', desc: 'Quality Control: Fix 10 errors', target: 10, reward: 50 },
-      { type: 'time', desc: 'Deep Work: Code for 30 minutes', target: 30, reward: 20 },
-      { type: 'time', desc: 'Marathon: Code for 60 minutes', target: 60, reward: 45 }
-    ];
-
-    // Shuffle and pick 3
-    const shuffled = templates.sort(() => 0.5 - Math.random()).slice(0, 3);
-    
-    this.developer.quests = shuffled.map((t, i) => ({
-      id: `quest_${Date.now()}_${i}`,
-      description: t.desc,
-      type: t.type as any,
-      target: t.target,
-      progress: 0,
-      reward: t.reward,
-      completed: false
-    }));
-    
+    const random = createSeededRandom(`${this.questSeed()}:daily:${today}`);
+    this.developer.quests = pickRandom(this.catalog.quests, 3, random).map((t, i) => createQuest(t, `quest_${now}_${i}`));
+    this.developer.dailyQuestsDay = today;
+  }
+
+  /**
+   * Seed for quest rolls: the team's shared seed, or this developer's own id.
+   */
+  private questSeed(): string {
+    return getSettings().questSeed || this.developer.profileId;
+  }
+
+  /**
+   * Rolls new weekly quests once the week has changed. Unfinished ones simply expire.
+   */
+  private checkWeeklyQuests() {
+    const weekStart = getWeekStart(Date.now());
+    if (this.developer.weeklyQuestsStart === weekStart) return;
+    const random = createSeededRandom(`${this.questSeed()}:weekly:${getDayKey(weekStart)}`);
+    this.developer.weeklyQuests = pickRandom(WEEKLY_QUEST_TEMPLATES, WEEKLY_QUEST_COUNT, random)
+      .map((t, i) => createQuest(t, `weekly_${weekStart}_${i}`));
+    this.developer.weeklyQuestsStart = weekStart;
+  }
+
+  /**
+   * Makes sure every unfinished chain has its current step on the board.
+   */
+  private ensureQuestChains() {
+    for (const chain of QUEST_CHAINS) {
+      const step = this.developer.chainSteps[chain.id] || 0;
+      if (step >= chain.steps.length || this.developer.chainQuests.some(q => q.chainId === chain.id)) continue;
+      this.developer.chainQuests.push(createQuest(chain.steps[step], `chain_${chain.id}_${step}`, chain.id));
+    }
+  }
+
+  /**
+   * Moves a chain past its finished step and pays the chain bonus after the last one.
+   */
+  private advanceChain(chainId: string) {
+    const chain = QUEST_CHAINS.find(c => c.id === chainId);
+    if (!chain) return;
+    this.developer.chainSteps[chainId] = (this.developer.chainSteps[chainId] || 0) + 1;
+    this.developer.chainQuests = this.developer.chainQuests.filter(q => q.chainId !== chainId);
+    if (this.developer.chainSteps[chainId] >= chain.steps.length) {
+      this.developer.coffee += chain.bonus;
+      vscode.window.showInformationMessage(`${chain.emoji} Quest Chain Complete: ${chain.name}! +${chain.bonus} ☕`);
+    } else {
+      this.ensureQuestChains();
+    }
+  }
+
+  /**
+   * Action: Swaps an unfinished daily quest for another one, for a rising bean price.
+   */
+  rerollQuest(questId: string) {
+    const index = this.developer.quests.findIndex(q => q.id === questId);
+    if (index < 0 || this.developer.quests[index].completed) return { success: false, message: 'Only unfinished daily quests can be rerolled' };
+    const cost = getRerollCost(this.developer.questRerolls);
+    if (this.developer.coffee < cost) return { success: false, message: `Rerolling costs ${cost} ☕` };
+    const taken = this.developer.quests.map(q => q.description);
+    const options = this.catalog.quests.filter(t => !taken.includes(t.desc));
+    if (options.length === 0) return { success: false, message: 'No other quests to roll' };
+
+    const random = createSeededRandom(`${this.questSeed()}:daily:${getDayKey(Date.now())}:reroll:${this.developer.questRerolls}`);
+    const [template] = pickRandom(options, 1, random);
+    this.developer.coffee -= cost;
+    this.developer.questRerolls++;
+    this.developer.quests[index] = createQuest(template, `quest_${Date.now()}_r${this.developer.questRerolls}`);
     this.saveDeveloper();
+    return { success: true, message: `🎲 New quest: ${template.desc} (-${cost} ☕)` };
   }
 
   /**
@@ -359,22 +2909,11 @@ class DeveloperManager {
     
     if (selection === 'Yes') {
       this.developer = {
-        energy: 100,
-        motivation: 100,
-        focus: 100,
-        health: 100,
-        xp: 0,
-        level: 1,
-        lastUpdated: Date.now(),
-        mood: 'productive',
-        role: '👨‍💻',
-        name: 'Dev',
-        coffee: 50,
-        skills: [],
-        inventory: [],
-        lastDailyBonus: 0,
-        streak: 0,
-        quests: []
+        ...createDefaultDeveloper(),
+        // The user has already seen the tour; don't show it again after a reset
+        tutorialCompleted: this.developer.tutorialCompleted,
+        // Same person, same leaderboard entry; a new id would leave the old one behind
+        profileId: this.developer.profileId
       };
       this.saveDeveloper();
       this.updateStats();
@@ -382,15 +2921,97 @@ class DeveloperManager {
     }
   }
 
+  /**
+   * Writes the developer to a JSON file chosen by the user.
+   */
+  async exportSave() {
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: vscode.Uri.joinPath(vscode.Uri.file(os.homedir()), `devgotchi-${this.developer.name.replace(/[^\w-]/g, '_')}.json`),
+      filters: { 'DevGotchi Save': ['json'] },
+      saveLabel: 'Export'
+    });
+    if (!uri) return;
+
+    const developer = this.getDeveloper();
+    const file: SaveFile = { format: 'devgotchi-save', exportedAt: Date.now(), developer, checksum: computeSaveChecksum(developer) };
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(JSON.stringify(file, null, 2), 'utf8'));
+    vscode.window.showInformationMessage(`Exported ${developer.name} to ${uri.fsPath}`);
+  }
+
+  /**
+   * Reads a developer from a JSON file, validates it and asks before overwriting the current one.
+   * Resolves to true when the save was replaced.
+   */
+  async importSave(): Promise<boolean> {
+    const [uri] = await vscode.window.showOpenDialog({
+      canSelectMany: false,
+      filters: { 'DevGotchi Save': ['json'] },
+      openLabel: 'Import'
+    }) || [];
+    if (!uri) return false;
+
+    let file: any;
+    try {
+      file = JSON.parse(Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8'));
+    } catch (err) {
+      vscode.window.showErrorMessage(`Could not read save file: ${err instanceof Error ? err.message : err}`);
+      return false;
+    }
+
+    if (!file || file.format !== 'devgotchi-save' || !file.developer) {
+      vscode.window.showErrorMessage('Not a DevGotchi save file.');
+      return false;
+    }
+    if (file.checksum !== computeSaveChecksum(file.developer)) {
+      vscode.window.showErrorMessage('Save file is damaged: its contents don\'t match the checksum.');
+      return false;
+    }
+    const version = typeof file.developer.schemaVersion === 'number' ? file.developer.schemaVersion : 0;
+    if (version > SAVE_MIGRATIONS.length) {
+      vscode.window.showErrorMessage('Save file was exported from a newer version of DevGotchi. Please update the extension.');
+      return false;
+    }
+
+    const imported = migrateDeveloper(JSON.parse(JSON.stringify(file.developer)));
+    const errors = validateDeveloper(imported, this.catalog);
+    if (errors.length > 0) {
+      vscode.window.showErrorMessage(`Save file rejected: ${errors.join('; ')}.`);
+      return false;
+    }
+
+    const current = this.developer;
+    const selection = await vscode.window.showWarningMessage(
+      `Replace ${current.name} (Lv${current.level}) with ${imported.name} (Lv${imported.level})?`,
+      {
+        modal: true,
+        detail: [
+          `Exported: ${new Date(file.exportedAt).toLocaleString()}`,
+          `Level ${imported.level} · ${imported.xp} XP · ${imported.coffee} ☕`,
+          `Skills: ${Object.keys(imported.skills).length} · Items: ${imported.inventory.length} · Streak: ${imported.streak || 0} days`,
+          '',
+          'Your current progress will be overwritten.'
+        ].join('\n')
+      },
+      'Import'
+    );
+    if (selection !== 'Import') return false;
+
+    // Don't charge decay for the time the save spent sitting in a file
+    this.developer = { ...imported, lastUpdated: Date.now() };
+    this.saveDeveloper();
+    this.updateStats();
+    vscode.window.showInformationMessage(`Imported ${imported.name}!`);
+    return true;
+  }
+
   /**
    * Action: Spend coffee beans to boost energy and focus.
    */
   giveCoffee() {
     if (this.developer.coffee < 10) return { success: false, message: 'Out of coffee beans!' };
     this.developer.coffee -= 10;
-    const energyBoost = this.developer.skills.includes('caffeine_tolerance') ? 52 : 35;
-    this.developer.energy = Math.min(100, this.developer.energy + energyBoost);
-    this.developer.focus = Math.min(100, this.developer.focus + 20);
+    this.developer.energy = Math.min(100, this.developer.energy + Math.round(35 * this.effect('coffeeEnergy')));
+    this.developer.focus = Math.min(100, this.developer.focus + Math.round(20 * this.effect('coffeeFocus')));
     this.developer.motivation = Math.min(100, this.developer.motivation + 10);
     this.addXP(5);
     this.saveDeveloper();
@@ -398,82 +3019,331 @@ class DeveloperManager {
   }
   
   /**
-   * Action: Take a break to restore energy but lose some focus.
+   * Pays out a timed break to restore energy but lose some focus.
+   * `fraction` is the share of the break that was actually taken (0-1).
    */
-  takeBreak() {
-    if (this.developer.energy == 100 && this.developer.motivation == 100) return { success: false, message: 'Energy and motivation are full!' };
-    this.addXP(Math.floor(Math.max(5, 5 * (100 - this.developer.energy) / 40, 5 * (100 - this.developer.motivation) / 15)));
-    this.developer.energy = Math.min(100, this.developer.energy + 40);
-    this.developer.motivation = Math.min(100, this.developer.motivation + 15);
+  completeBreak(fraction: number) {
+    const fullXp = Math.max(5, 5 * (100 - this.developer.energy) / 40, 5 * (100 - this.developer.motivation) / 15);
+    if (Math.floor(fraction * fullXp) === 0 && Math.round(40 * fraction) === 0) return { success: false, message: 'Too short to count as a break.' };
+    // Breaks taken back to back restore less, for stats as well as XP
+    const share = fraction * this.rewards.check('break');
+    const xp = Math.floor(share * fullXp);
+    const energy = Math.round(40 * share);
+    const motivation = Math.round(15 * share);
+    if (xp === 0 && energy === 0) return { success: false, message: 'Too many breaks in a row. Get some coding done first!' };
+    this.addXP(xp);
+    this.developer.energy = Math.min(100, this.developer.energy + energy);
+    this.developer.motivation = Math.min(100, this.developer.motivation + motivation);
     this.developer.focus = Math.max(0, this.developer.focus - 5);
     this.saveDeveloper();
-    return { success: true, message: 'Refreshed! 🌴' };
+    return fraction >= 1
+      ? { success: true, message: 'Refreshed! 🌴' }
+      : { success: true, message: `Partly refreshed (${Math.round(fraction * 100)}% of the break): +${energy} Energy 🌴` };
+  }
+
+  /**
+   * Event: Triggered when a Pomodoro work session runs to completion.
+   */
+  completePomodoro() {
+    if (this.rewards.check('pomodoro') === 0) return;
+    this.addXP(10);
+    this.developer.motivation = Math.min(100, this.developer.motivation + 5);
+    this.updateQuestProgress('pomodoro');
+    this.saveDeveloper();
   }
   
   /**
    * Event: Triggered when a file is saved. Small boost to motivation and coffee.
+   * Only saves that changed the file since its last rewarded save pay anything.
    */
-  onCodeSaved() {
+  onCodeSaved(document: vscode.TextDocument, autoSaved: boolean) {
+    const settings = getSettings();
+    if (!autoSaved) this.onInteraction();
+    if (autoSaved && settings.ignoreAutoSave) return;
+
+    const contentHash = crypto.createHash('sha256').update(document.getText()).digest('hex');
+    const share = this.rewards.check('save', document.uri.toString(), contentHash);
+    if (share === 0) return;
+
     this.developer.motivation = Math.min(100, this.developer.motivation + 3);
-    this.developer.coffee += 1;
-    this.addXP(3);
-    this.updateQuestProgress('save');
+    this.developer.coffee += Math.round(settings.saveBeans * share);
+    this.addXP(settings.saveXp * share);
+    this.developer.lifetime.saves++;
+    this.history.record('saves');
+    this.updateQuestProgress('save', 1, { files: [toQuestEventFile(document)] });
     this.saveDeveloper();
   }
 
   /**
-   * Event: Triggered when a git commit or merge is detected.
+   * Event: Triggered when HEAD moves. Only commits the user authored count as commits;
+   * everything else pays its own, smaller reward.
    */
-  onGitCommit() {
-    this.developer.motivation = Math.min(100, this.developer.motivation + 20);
-    this.developer.coffee += 5;
-    this.addXP(50);
-    this.updateQuestProgress('commit');
+  onGitEvent(kind: GitEventKind, authored: boolean, details?: CommitDetails) {
+    this.onInteraction();
+    const settings = getSettings();
+    const reward = kind === 'commit'
+      ? {
+        label: details?.type ? `Committed (${details.type})` : 'Committed',
+        xp: getCommitXp(settings.commitXp, details, this.effect('fixXp')) * this.effect('commitXp'),
+        beans: settings.commitBeans * this.effect('commitBeans'),
+        motivation: 20
+      }
+      : { ...GIT_REWARDS[kind], xp: GIT_REWARDS[kind].xp * this.effect('gitXp') };
+    if (reward.xp === 0 && reward.beans === 0 && reward.motivation === 0) return;
+    const share = this.rewards.check('git', kind);
+    if (share === 0) return;
+
+    const xp = Math.round(reward.xp * share);
+    const beans = Math.round(reward.beans * share);
+    this.developer.motivation = Math.min(100, this.developer.motivation + reward.motivation);
+    this.developer.coffee += beans;
+    this.addXP(xp);
+    if (kind === 'commit' && authored) {
+      this.developer.lifetime.commits++;
+      this.history.record('commits');
+      const files = details?.paths.map(path => ({ path, languageId: languageOfPath(path) }));
+      this.updateQuestProgress('commit', 1, { commitType: details?.type, files });
+    }
     this.saveDeveloper();
-    vscode.window.showInformationMessage(`Git Activity! +50 XP, +5 ☕`);
+
+    const message = `${reward.label}! +${xp} XP${beans > 0 ? `, +${beans} ☕` : ''}`;
+    if (kind === 'commit' || kind === 'merge') vscode.window.showInformationMessage(message);
+    else vscode.window.setStatusBarMessage(message, 3000);
+  }
+
+  /**
+   * Event: Triggered by any editor interaction. Coming back from being away
+   * settles the away time first and shows what happened meanwhile.
+   */
+  onInteraction() {
+    const settings = getSettings();
+    if (this.presence.getState(settings) === 'away') {
+      const awayMs = Date.now() - this.presence.getLastInteraction();
+      const before = this.awaySnapshot || { ...this.developer };
+      this.updateStats();
+      this.presence.recordInteraction();
+      this.awaySnapshot = undefined;
+      this.developer.mood = this.calculateMood();
+      this.saveDeveloper();
+      this.showAwaySummary(awayMs, before);
+      return;
+    }
+    this.presence.recordInteraction();
   }
 
-  setInitialErrorCount(count: number) {
-    this.lastErrorCount = count;
+  getLastInteraction(): number {
+    return this.presence.getLastInteraction();
   }
 
-  updateErrorCount(currentErrors: number) {
-    const diff = currentErrors - this.lastErrorCount;
-    
-    if (diff < 0) {
-      // Fixed bugs
-      const fixed = Math.abs(diff);
-      const xpMult = this.developer.skills.includes('bug_slayer') ? 2 : 1;
-      this.addXP(fixed * 5 * xpMult);
-      this.developer.motivation = Math.min(100, this.developer.motivation + fixed);
-      this.updateQuestProgress('fix', fixed);
-      vscode.window.setStatusBarMessage(`Bug squashed! +${fixed * 5 * xpMult} XP 🐛`, 3000);
-    } else if (diff > 0) {
-      // New bugs introduced - slight focus hit
-      this.developer.focus = Math.max(0, this.developer.focus - (diff * 0.5));
+  getPresence(): Presence {
+    return this.presence.getState(getSettings());
+  }
+
+  /**
+   * Event: Triggered when the VS Code window gains or loses focus.
+   */
+  onWindowFocusChanged(focused: boolean) {
+    // Settle time under the old focus state before switching
+    this.updateStats();
+    this.presence.setFocused(focused);
+    if (focused) this.onInteraction();
+  }
+
+  /**
+   * Tells the user how the developer fared while they were gone.
+   */
+  private showAwaySummary(awayMs: number, before: ProgrammerStats) {
+    const changes = (['energy', 'motivation', 'focus'] as const)
+      .map(stat => ({ stat, delta: Math.round(this.developer[stat] - before[stat]) }))
+      .filter(c => c.delta !== 0)
+      .map(c => `${c.delta > 0 ? '+' : ''}${c.delta} ${c.stat}`);
+    const beans = this.developer.coffee - before.coffee;
+    if (beans > 0) changes.push(`+${beans} ☕`);
+    const summary = changes.length > 0 ? changes.join(', ') : 'nothing changed';
+    vscode.window.showInformationMessage(`👋 Welcome back! You were away for ${formatDuration(awayMs)}. While ${this.developer.name} rested: ${summary}.`);
+  }
+
+  /**
+   * Event: Triggered when the user edits the active document.
+   */
+  onTyping(document: vscode.TextDocument) {
+    this.onInteraction();
+    this.diagnostics.markEdited(document.uri.toString());
+    const edits = this.developer.languageEdits;
+    edits[document.languageId] = (edits[document.languageId] || 0) + 1;
+    const event = this.typing.recordEdit(getSettings().flowMinStreakMinutes, toQuestEventFile(document));
+    if (event === 'flow-started') {
+      this.developer.mood = this.calculateMood();
+      this.saveDeveloper();
+      vscode.window.setStatusBarMessage(`🌊 ${this.developer.name} is in the flow! Bonus XP, slower focus loss`, 5000);
+    } else if (event === 'long-pause') {
+      // Coming back after a long pause means rebuilding context
+      this.loseFocus(5);
+      this.saveDeveloper();
     }
-    
-    this.lastErrorCount = currentErrors;
+  }
+
+  /**
+   * Event: Triggered when the user switches to another editor.
+   */
+  onEditorSwitched() {
+    this.onInteraction();
+    const wasInFlow = this.typing.isInFlow();
+    if (this.typing.recordSwitch()) {
+      const lost = this.loseFocus(3);
+      if (wasInFlow) this.developer.mood = this.calculateMood();
+      this.saveDeveloper();
+      vscode.window.setStatusBarMessage(`🔀 Too much context switching! -${Math.round(lost)} Focus`, 3000);
+    }
+  }
+
+  /**
+   * Event: Triggered when a task tagged as build or test exits.
+   * Green runs pay out, red runs cost focus, and turning a red task green pays a bonus.
+   */
+  onTaskFinished(kind: 'build' | 'test', taskKey: string, passed: boolean) {
+    const wasFailing = this.taskResults.get(taskKey) === false;
+    this.taskResults.set(taskKey, passed);
+    const label = kind === 'test' ? 'Tests' : 'Build';
+
+    if (!passed) {
+      const lost = this.loseFocus(5);
+      this.saveDeveloper();
+      vscode.window.setStatusBarMessage(`❌ ${label} failed. -${Math.round(lost)} Focus`, 3000);
+      return;
+    }
+
+    const share = this.rewards.check('task', taskKey);
+    if (share === 0) return;
+
+    const xp = Math.round((kind === 'test' ? 15 : 10) * this.effect('taskXp') * share);
+    this.addXP(xp);
+    this.developer.motivation = Math.min(100, this.developer.motivation + (kind === 'test' ? 8 : 5));
+    if (kind === 'test') this.updateQuestProgress('test');
+
+    if (wasFailing) {
+      const bonusXp = Math.round(30 * share);
+      const beans = Math.round(5 * share);
+      this.addXP(bonusXp);
+      this.developer.coffee += beans;
+      vscode.window.showInformationMessage(`🟢 Fixed the ${kind}! +${xp + bonusXp} XP, +${beans} ☕`);
+    } else {
+      vscode.window.setStatusBarMessage(`✅ ${label} passed! +${xp} XP`, 3000);
+    }
+    this.saveDeveloper();
+  }
+
+  onDebugStarted(sessionId: string) {
+    this.debugSessions.set(sessionId, { start: Date.now(), fixed: 0, breakpoints: 0 });
+    this.onInteraction();
+  }
+
+  onBreakpointsAdded(count: number) {
+    this.debugSessions.forEach(d => d.breakpoints += count);
+  }
+
+  /**
+   * Event: Triggered when a debug session ends.
+   * Pays a bug hunter reward if problems were fixed in edited files while it ran.
+   */
+  onDebugEnded(sessionId: string) {
+    const session = this.debugSessions.get(sessionId);
+    if (!session) return;
+    this.debugSessions.delete(sessionId);
+
+    const fixed = session.fixed;
+    if (fixed <= 0) return;
+    const share = this.rewards.check('debug');
+    if (share === 0) return;
+
+    // Up to 5 breakpoints count as investigation work
+    const xpMult = this.effect('bugHuntXp');
+    const xp = Math.round((20 + fixed * 5 + Math.min(session.breakpoints, 5) * 2) * xpMult * share);
+    this.addXP(xp);
+    this.developer.motivation = Math.min(100, this.developer.motivation + 10);
+    this.updateQuestProgress('debug');
+    vscode.window.showInformationMessage(`🐞 Bug hunt won! You fixed problems while debugging. +${xp} XP`);
+    this.saveDeveloper();
+  }
+
+  /**
+   * Seeds the per-file diagnostics on startup. Nothing is rewarded for what was already there.
+   */
+  setInitialDiagnostics(entries: [vscode.Uri, vscode.Diagnostic[]][]) {
+    entries.forEach(([uri, diags]) => this.diagnostics.update(uri.toString(), DiagnosticsTracker.count(diags), false));
+  }
+
+  /**
+   * Event: Triggered when diagnostics change for some files.
+   * Fixes pay XP only in files the user edited; warnings count at a lower weight.
+   * Returns the current counts of the files where the user fixed something.
+   */
+  updateDiagnostics(entries: [vscode.Uri, vscode.Diagnostic[]][]): { uri: string; counts: DiagnosticCounts }[] {
+    const openDocs = new Map(vscode.workspace.textDocuments.map(doc => [doc.uri.toString(), doc]));
+    const fixedFiles: { file: QuestEventFile; errors: number }[] = [];
+    const fixes: { uri: string; counts: DiagnosticCounts }[] = [];
+    let fixedErrors = 0;
+    let rewardedWeight = 0;
+    let introducedWeight = 0;
+    entries.forEach(([uri, diags]) => {
+      const key = uri.toString();
+      const counts = DiagnosticsTracker.count(diags);
+      const { fixed, introduced } = this.diagnostics.update(key, counts, openDocs.has(key));
+      introducedWeight += weighDiagnostics(introduced);
+      if (fixed.errors === 0 && fixed.warnings === 0) return;
+      fixes.push({ uri: key, counts });
+      this.debugSessions.forEach(session => session.fixed += weighDiagnostics(fixed));
+      const share = this.rewards.check('fix', key);
+      if (share === 0) return;
+      fixedErrors += fixed.errors;
+      const doc = openDocs.get(key);
+      if (doc && fixed.errors > 0) fixedFiles.push({ file: toQuestEventFile(doc), errors: fixed.errors });
+      rewardedWeight += weighDiagnostics(fixed) * share;
+    });
+
+    if (rewardedWeight > 0) {
+      const xp = Math.max(1, Math.round(rewardedWeight * 5 * this.effect('fixXp')));
+      this.addXP(xp);
+      this.developer.motivation = Math.min(100, this.developer.motivation + rewardedWeight);
+      if (fixedErrors > 0) {
+        this.developer.lifetime.bugsFixed += fixedErrors;
+        this.history.record('bugsFixed', fixedErrors);
+        fixedFiles.forEach(({ file, errors }) => this.updateQuestProgress('fix', errors, { files: [file] }));
+      }
+      vscode.window.setStatusBarMessage(`Bug squashed! +${xp} XP 🐛`, 3000);
+    }
+    if (introducedWeight > 0) {
+      // New problems introduced - slight focus hit
+      this.loseFocus(introducedWeight * 0.5);
+    }
+
     this.saveDeveloper();
+    return fixes;
   }
 
   /**
-   * Updates progress for active quests of a specific type.
+   * Updates progress for active quests and goals of a specific type. `scope` narrows which ones count:
+   * the commit's Conventional Commit type, a single quest id, or the files the event happened in.
    */
-  private updateQuestProgress(type: 'save' | 'commit' | 'fix' | 'time', amount: number = 1) {
+  private updateQuestProgress(type: Quest['type'], amount: number = 1, scope: { commitType?: string; questId?: string; files?: QuestEventFile[] } = {}) {
     let updated = false;
-    this.developer.quests.forEach(q => {
-      if (q.type === type && !q.completed) {
+    const finishedChains: string[] = [];
+    const now = Date.now();
+    this.getAllQuests().forEach(q => {
+      if (q.type === type && !q.completed && (!q.commitType || q.commitType === scope.commitType) &&
+        (!scope.questId || q.id === scope.questId) && (!q.deadline || now <= q.deadline) && matchesGoalFilter(q.filter, scope.files)) {
         q.progress += amount;
         if (q.progress >= q.target) {
           q.progress = q.target;
           q.completed = true;
           this.developer.coffee += q.reward;
-          vscode.window.showInformationMessage(`✅ Quest Complete: ${q.description} (+${q.reward} ☕)`);
+          vscode.window.showInformationMessage(`✅ ${q.deadline ? 'Goal' : 'Quest'} Complete: ${q.description} (+${q.reward} ☕)`);
+          if (q.chainId) finishedChains.push(q.chainId);
         }
         updated = true;
       }
     });
+    finishedChains.forEach(chainId => this.advanceChain(chainId));
 
     // Check if all quests are completed for the day
     if (!this.developer.dailyQuestsCompleted && this.developer.quests.length > 0 && this.developer.quests.every(q => q.completed)) {
@@ -488,6 +3358,113 @@ class DeveloperManager {
     if (updated) this.saveDeveloper();
   }
 
+  /**
+   * Action: Tick off one step of a manual quest, like "review 3 PRs" from a content pack.
+   */
+  logManualQuest(questId: string) {
+    const quest = this.getAllQuests().find(q => q.id === questId);
+    if (!quest || quest.type !== 'manual' || quest.completed) return { success: false, message: 'Quest not found' };
+    if (this.rewards.check('manual', questId) === 0) return { success: false, message: 'Slow down! Try again in a minute.' };
+    // Only this quest moves: other manual quests track other chores
+    this.updateQuestProgress('manual', 1, { questId });
+    return { success: true, message: `Logged: ${quest.description}` };
+  }
+
+  /**
+   * Daily, weekly and chain quests and custom goals together. Quest ids are unique across all of them.
+   */
+  private getAllQuests(): Quest[] {
+    return [...this.developer.quests, ...this.developer.weeklyQuests, ...this.developer.chainQuests, ...this.developer.goals];
+  }
+
+  /**
+   * Beans still available for goal rewards this week.
+   */
+  getGoalBudgetLeft(): number {
+    const spent = this.developer.goalBudget.weekStart === getWeekStart(Date.now()) ? this.developer.goalBudget.spent : 0;
+    return Math.max(0, getSettings().goalWeeklyBudget - spent);
+  }
+
+  /**
+   * Refills the goal budget once the week has changed.
+   */
+  private checkGoalBudget() {
+    const weekStart = getWeekStart(Date.now());
+    if (this.developer.goalBudget.weekStart !== weekStart) this.developer.goalBudget = { weekStart, spent: 0 };
+  }
+
+  /**
+   * Action: Walks the user through creating a custom goal. Its reward is reserved from
+   * this week's goal budget. Resolves to undefined when the user cancels.
+   */
+  async createGoal(): Promise<{ success: boolean; message: string } | undefined> {
+    const budget = this.getGoalBudgetLeft();
+    if (budget === 0) return { success: false, message: 'This week\'s goal budget is used up. It refills on Monday.' };
+    const goal = await askForGoal(budget);
+    if (!goal) return undefined;
+
+    this.checkGoalBudget(); // The week may have turned while the prompts were open
+    this.developer.goalBudget.spent += goal.reward;
+    this.developer.goals.push(goal);
+    this.saveDeveloper();
+    return { success: true, message: `🎯 New goal: ${goal.description}` };
+  }
+
+  /**
+   * Action: Deletes a custom goal. Unearned rewards go back into this week's budget.
+   */
+  deleteGoal(goalId: string) {
+    const goal = this.developer.goals.find(g => g.id === goalId);
+    if (!goal) return { success: false, message: 'Goal not found' };
+    this.developer.goals = this.developer.goals.filter(g => g !== goal);
+    this.refundGoal(goal);
+    this.saveDeveloper();
+    return { success: true, message: `Deleted goal: ${goal.description}` };
+  }
+
+  /**
+   * Drops goals whose deadline passed. Unfinished ones are reported and refunded to the budget.
+   */
+  private expireGoals() {
+    const now = Date.now();
+    const expired = this.developer.goals.filter(g => g.deadline! < now);
+    if (expired.length === 0) return;
+    this.developer.goals = this.developer.goals.filter(g => !expired.includes(g));
+    for (const goal of expired.filter(g => !g.completed)) {
+      this.refundGoal(goal);
+      vscode.window.showInformationMessage(`⌛ Goal expired: ${goal.description} (${Math.floor(goal.progress)} / ${goal.target})`);
+    }
+  }
+
+  /**
+   * Returns an unearned goal reward to the budget, if it was reserved this week.
+   */
+  private refundGoal(goal: Quest) {
+    this.checkGoalBudget();
+    if (goal.completed || getWeekStart(goal.createdAt!) !== this.developer.goalBudget.weekStart) return;
+    this.developer.goalBudget.spent = Math.max(0, this.developer.goalBudget.spent - goal.reward);
+  }
+
+  /**
+   * Clears progress on unfinished quests of a type, for quests that must be done in one go.
+   */
+  resetQuestProgress(type: Quest['type']) {
+    this.getAllQuests().forEach(q => {
+      if (q.type === type && !q.completed) q.progress = 0;
+    });
+    this.saveDeveloper();
+  }
+
+  /**
+   * Language ids the user edits most, most edited first.
+   */
+  getTopLanguages(limit: number): string[] {
+    return Object.entries(this.developer.languageEdits)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([language]) => language);
+  }
+
   /**
    * Marks the tutorial as completed.
    */
@@ -497,35 +3474,82 @@ class DeveloperManager {
   }
 
   /**
-   * Action: Unlock a skill from the skill tree.
+   * Multiplier that skills, equipment and running consumables apply to an effect.
+   */
+  private effect(effect: StatEffect): number {
+    return getEffectMultiplier(this.developer, effect, this.catalog);
+  }
+
+  /**
+   * Takes focus away as a penalty, softened by focus shields. Returns how much was lost.
+   */
+  private loseFocus(amount: number): number {
+    const lost = Math.min(this.developer.focus, amount * this.effect('focusLoss'));
+    this.developer.focus -= lost;
+    return lost;
+  }
+
+  /**
+   * Action: Learn a skill, or raise it one rank.
    */
   unlockSkill(skillId: string) {
-    const skill = SKILLS.find(s => s.id === skillId);
+    const skill = this.catalog.skills.find(s => s.id === skillId);
     if (!skill) return { success: false, message: 'Skill not found' };
-    if (this.developer.skills.includes(skillId)) return { success: false, message: 'Skill already unlocked' };
-    if (this.developer.coffee < skill.cost) return { success: false, message: `Need ${skill.cost} beans!` };
+    const rank = this.developer.skills[skillId] || 0;
+    if (rank >= skill.costs.length) return { success: false, message: `${skill.name} is already maxed` };
+    if (this.developer.level < skill.minLevel) return { success: false, message: `${skill.name} needs level ${skill.minLevel}` };
+    const missing = skill.requires.filter(id => !this.developer.skills[id]).map(id => this.catalog.skills.find(s => s.id === id)?.name ?? id);
+    if (missing.length > 0) return { success: false, message: `Learn ${missing.join(', ')} first` };
+    const cost = skill.costs[rank];
+    if (this.developer.coffee < cost) return { success: false, message: `Need ${cost} beans!` };
     
-    this.developer.coffee -= skill.cost;
-    this.developer.skills.push(skillId);
+    this.developer.coffee -= cost;
+    this.developer.skills[skillId] = rank + 1;
+    this.saveDeveloper();
+    return rank === 0
+      ? { success: true, message: `Unlocked ${skill.name}! 🎉` }
+      : { success: true, message: `${skill.name} is now rank ${rank + 1}! 🎉` };
+  }
+
+  /**
+   * Action: Forget every skill and get the beans back, minus a fee. Asks for confirmation.
+   */
+  async respecSkills() {
+    // Skills from packs that aren't loaded keep their ranks, since their costs are unknown here
+    const unloaded = Object.keys(this.developer.skills).filter(id => !this.catalog.skills.some(node => node.id === id));
+    if (Object.keys(this.developer.skills).length === unloaded.length) return { success: false, message: 'No skills to reset' };
+    const { spent, fee } = getRespecCosts(this.developer.skills, this.catalog);
+    if (this.developer.coffee + spent < fee) return { success: false, message: `A respec costs ${fee} beans` };
+    const kept = unloaded.length > 0 ? ` ${unloaded.length} skill${unloaded.length === 1 ? '' : 's'} from content packs that aren't loaded keep their ranks.` : '';
+    const choice = await vscode.window.showWarningMessage(
+      `Reset all skills? You get ${spent - fee} of the ${spent} beans you spent back (${fee} bean fee).${kept}`,
+      { modal: true },
+      'Respec'
+    );
+    if (choice !== 'Respec') return { success: false, message: 'Respec cancelled' };
+
+    this.developer.coffee += spent - fee;
+    this.developer.skills = Object.fromEntries(unloaded.map(id => [id, this.developer.skills[id]]));
     this.saveDeveloper();
-    return { success: true, message: `Unlocked ${skill.name}! 🎉` };
+    return { success: true, message: `Skills reset. Refunded ${spent - fee} beans 🔄` };
   }
   
   /**
    * Action: Buy an item from the shop.
    */
   buyItem(itemId: string) {
-    const item = SHOP_ITEMS.find(i => i.id === itemId);
+    const item = this.catalog.items.find(i => i.id === itemId);
     if (!item) return { success: false, message: 'Item not found' };
-    if (this.developer.inventory.includes(itemId)) return { success: false, message: 'Already owned' };
+    if (item.type !== 'consumable' && this.developer.inventory.includes(itemId)) return { success: false, message: 'Already owned' };
     if (this.developer.coffee < item.cost) return { success: false, message: 'Not enough beans' };
 
     this.developer.coffee -= item.cost;
-    this.developer.inventory.push(itemId);
-    
-    // Auto-equip skins
-    if (item.type === 'skin' && item.emoji) {
-      this.developer.role = item.emoji;
+    if (item.type === 'consumable') {
+      this.developer.consumables[itemId] = (this.developer.consumables[itemId] || 0) + 1;
+    } else {
+      this.developer.inventory.push(itemId);
+      // Fill an empty slot right away
+      if (!this.developer.equipped[item.type]) this.equip(item as ShopItem & { type: EquipSlot });
     }
     
     this.saveDeveloper();
@@ -533,26 +3557,92 @@ class DeveloperManager {
     return { success: true, message: `Bought ${item.name}! 🛍️` };
   }
 
+  /**
+   * Action: Put an owned item into its slot, or take it off if it is already worn.
+   */
   equipItem(itemId: string) {
-    const item = SHOP_ITEMS.find(i => i.id === itemId);
+    const item = this.catalog.items.find(i => i.id === itemId);
     if (!item || !this.developer.inventory.includes(itemId)) return { success: false, message: 'Cannot equip' };
-    if (item.type !== 'skin' || !item.emoji) return { success: false, message: 'Not equippable' };
+    if (item.type === 'consumable') return { success: false, message: 'Not equippable' };
     
-    this.developer.role = item.emoji;
+    if (this.developer.equipped[item.type] === itemId) {
+      delete this.developer.equipped[item.type];
+      if (item.type === 'skin') this.developer.role = DEFAULT_ROLE;
+      this.saveDeveloper();
+      return { success: true, message: `Unequipped ${item.name}` };
+    }
+    this.equip(item as ShopItem & { type: EquipSlot });
+    this.saveDeveloper();
+    return { success: true, message: `Equipped ${item.name}` };
+  }
+
+  private equip(item: ShopItem & { type: EquipSlot }) {
+    this.developer.equipped[item.type] = item.id;
+    if (item.type === 'skin' && item.emoji) this.developer.role = item.emoji;
+  }
+
+  /**
+   * Action: Use one consumable from the stack. Using one that is still running extends it.
+   */
+  useItem(itemId: string) {
+    const item = this.catalog.items.find(i => i.id === itemId);
+    if (!item || item.type !== 'consumable' || !this.developer.consumables[itemId]) return { success: false, message: 'None left' };
+
+    this.developer.consumables[itemId]--;
+    if (this.developer.consumables[itemId] === 0) delete this.developer.consumables[itemId];
+    for (const stat of ['energy', 'focus', 'motivation'] as const) {
+      const boost = item.restore?.[stat];
+      if (boost) this.developer[stat] = Math.min(100, this.developer[stat] + boost);
+    }
+    if (item.durationMinutes) {
+      const now = Date.now();
+      const running = this.developer.activeEffects.find(e => e.itemId === itemId && e.expiresAt > now);
+      if (running) running.expiresAt += item.durationMinutes * 60000;
+      else this.developer.activeEffects.push({ itemId, expiresAt: now + item.durationMinutes * 60000 });
+    }
+    this.developer.health = (this.developer.energy + this.developer.motivation + this.developer.focus) / 3;
     this.saveDeveloper();
-    return { success: true, message: `Equipped ${item.name}` };
+    return { success: true, message: `${item.emoji ?? ''} ${item.name} used!`.trim() };
   }
 
   /**
-   * Event: Triggered when a mini-game challenge is completed.
+   * Event: Triggered when a mini-game run was verified by its ChallengeSessions.
+   * Each game only pays for a limited number of runs per day.
    */
-  challengeCompleted(score: number) {
-    const coffeeEarned = Math.floor(score / 10);
+  challengeCompleted(outcome: ChallengeOutcome) {
+    const { game, score, durationMs } = outcome;
+    this.developer.lifetime.gamesPlayed++;
+    if (game === 'boss') {
+      const best = this.developer.lifetime.bestBossTimeMs;
+      if (best === undefined || durationMs < best) this.developer.lifetime.bestBossTimeMs = durationMs;
+    }
+    let summary = '';
+    if (outcome.wpm !== undefined && outcome.accuracy !== undefined) {
+      summary = `${outcome.wpm} WPM, ${Math.round(outcome.accuracy * 100)}% accuracy. `;
+      const best = outcome.language ? this.developer.speedTestBests[outcome.language] : undefined;
+      if (outcome.language && (!best || outcome.wpm > best.wpm)) {
+        this.developer.speedTestBests[outcome.language] = { wpm: outcome.wpm, accuracy: outcome.accuracy };
+        summary += `New ${outcome.language} personal best! `;
+      }
+    }
+
+    const today = getDayKey(Date.now());
+    if (this.developer.gameRewards.day !== today) this.developer.gameRewards = { day: today, counts: {} };
+    const played = this.developer.gameRewards.counts[game] || 0;
+    const rules = CHALLENGES[game];
+    if (played >= rules.dailyRewards) {
+      this.saveDeveloper();
+      return { success: false, message: `${summary}${rules.name} already paid out ${rules.dailyRewards} times today. Come back tomorrow!` };
+    }
+
+    const share = this.rewards.check('game', game);
+    if (share > 0) this.developer.gameRewards.counts[game] = played + 1;
+    const coffeeEarned = Math.floor(score / 10 * share);
     this.developer.coffee += coffeeEarned;
-    this.developer.motivation = Math.min(100, this.developer.motivation + 20);
-    this.addXP(score + score * score / 100 + score * score * score / 100000);
+    if (share > 0) this.developer.motivation = Math.min(100, this.developer.motivation + 20);
+    this.addXP((score + score * score / 100 + score * score * score / 100000) * share);
     this.saveDeveloper();
-    return coffeeEarned;
+    return { success: true, message: `${summary}Earned ${coffeeEarned} coffee beans!` };
   }
 
   /**
@@ -568,7 +3658,12 @@ class DeveloperManager {
    * Adds XP and handles leveling up logic.
    */
   private addXP(amount: number) {
-    this.developer.xp += Math.floor(amount * (1 + this.developer.energy / 100) * (1 + this.developer.focus / 100) * (1 + this.developer.motivation / 100));
+    if (this.typing.isInFlow()) amount *= 1 + (getSettings().flowXpMultiplier - 1) * this.effect('flowXp');
+    const gained = Math.floor(amount * (1 + this.developer.energy / 100) * (1 + this.developer.focus / 100) * (1 + this.developer.motivation / 100));
+    this.developer.xp += gained;
+    this.rollWeek();
+    this.developer.weeklyXp += gained;
+    this.history.record('xp', gained);
     
     let leveledUp = false;
     let xpNeeded = this.developer.level * 100;
@@ -586,6 +3681,230 @@ class DeveloperManager {
   }
 }
 
+/**
+ * Publishes the local developer to a shared team location and reads everyone's profiles back.
+ * The location is either a folder (network share or repo path, relative to the workspace)
+ * holding one `<profileId>.json` per member, or an HTTP endpoint that accepts
+ * `PUT <url>/<profileId>` and answers `GET <url>` with an array of profiles.
+ */
+class TeamLeaderboard {
+  private static readonly PUBLISH_INTERVAL = 5 * 60 * 1000;
+  private lastPublished = 0;
+  private publishError: string | undefined; // Why the last publish failed, shown in the leaderboard modal
+
+  constructor(private devManager: DeveloperManager) {}
+
+  isConfigured(): boolean {
+    return getSettings().leaderboardLocation.trim().length > 0;
+  }
+
+  /**
+   * Publishes the profile unless it was published recently.
+   */
+  async publishIfDue() {
+    if (Date.now() - this.lastPublished < TeamLeaderboard.PUBLISH_INTERVAL) return;
+    await this.publish();
+  }
+
+  /**
+   * Writes the current profile to the shared location. Failures are kept for the
+   * leaderboard modal rather than toasted, since publishing runs in the background.
+   */
+  async publish() {
+    const location = getSettings().leaderboardLocation.trim();
+    if (!location) return;
+    const profile = this.devManager.getProfile();
+    this.lastPublished = Date.now();
+    const body = JSON.stringify(profile, null, 2);
+
+    try {
+      if (this.isHttp(location)) {
+        await httpRequest('PUT', `${location.replace(/\/+$/, '')}/${encodeURIComponent(profile.id)}`, body);
+      } else {
+        const dir = this.resolveFolder(location);
+        await vscode.workspace.fs.createDirectory(dir);
+        await vscode.workspace.fs.writeFile(vscode.Uri.joinPath(dir, `${profile.id}.json`), Buffer.from(body, 'utf8'));
+      }
+      this.publishError = undefined;
+    } catch (err) {
+      this.publishError = `Could not publish your profile: ${err instanceof Error ? err.message : err}`;
+    }
+  }
+
+  getPublishError(): string | undefined {
+    return this.publishError;
+  }
+
+  /**
+   * Reads all team profiles, always including a fresh copy of the local one.
+   */
+  async fetchProfiles(): Promise<LeaderboardProfile[]> {
+    const location = getSettings().leaderboardLocation.trim();
+    const own = this.devManager.getProfile();
+    if (!location) return [own];
+
+    let raw: unknown[] = [];
+    if (this.isHttp(location)) {
+      const parsed = JSON.parse(await httpRequest('GET', location));
+      if (Array.isArray(parsed)) raw = parsed;
+    } else {
+      const dir = this.resolveFolder(location);
+      const entries = await vscode.workspace.fs.readDirectory(dir).then(e => e, () => [] as [string, vscode.FileType][]);
+      for (const [file, type] of entries) {
+        if (type !== vscode.FileType.File || !file.endsWith('.json')) continue;
+        try {
+          raw.push(JSON.parse(Buffer.from(await vscode.workspace.fs.readFile(vscode.Uri.joinPath(dir, file))).toString('utf8')));
+        } catch {
+          // Skip half-written or foreign files on the share
+        }
+      }
+    }
+
+    const profiles = raw.filter((p): p is LeaderboardProfile => this.isValidProfile(p) && (p as LeaderboardProfile).id !== own.id);
+    return [...profiles, own];
+  }
+
+  private isValidProfile(p: any): boolean {
+    return !!p && typeof p.id === 'string' && typeof p.name === 'string' && typeof p.role === 'string' &&
+      Number.isInteger(p.level) && p.level >= 1 && Number.isFinite(p.totalXp) && Number.isFinite(p.weeklyXp) &&
+      Number.isFinite(p.weekStart) && Number.isFinite(p.streak) && Number.isFinite(p.updatedAt);
+  }
+
+  private isHttp(location: string): boolean {
+    return /^https?:\/\//i.test(location);
+  }
+
+  private resolveFolder(location: string): vscode.Uri {
+    return resolveUserPath(location);
+  }
+}
+
+/**
+ * Compact developer view living in the activity bar (or wherever the user drags it).
+ * Shows the avatar, stat bars and quick actions; games and the shop stay in the full panel.
+ */
+class DeveloperSidebarProvider implements vscode.WebviewViewProvider {
+  public static readonly viewId = 'devgotchi.sidebar';
+  public static current: DeveloperSidebarProvider | undefined;
+  private view: vscode.WebviewView | undefined;
+
+  constructor(private devManager: DeveloperManager, private pomodoro: PomodoroTimer) {
+    DeveloperSidebarProvider.current = this;
+  }
+
+  /**
+   * Called by VS Code the first time the view becomes visible.
+   */
+  resolveWebviewView(webviewView: vscode.WebviewView) {
+    this.view = webviewView;
+    webviewView.webview.options = { enableScripts: true };
+    webviewView.webview.html = this.getHtmlContent();
+    webviewView.onDidDispose(() => this.view = undefined);
+    // Hidden webviews drop messages, so catch up when shown again
+    webviewView.onDidChangeVisibility(() => {
+      if (webviewView.visible) this.updateDeveloper();
+    });
+    webviewView.webview.onDidReceiveMessage((message: any) => {
+      switch (message.command) {
+        case 'coffee': this.postResult(this.devManager.giveCoffee()); break;
+        case 'break': this.postResult(this.pomodoro.toggleBreak()); break;
+        case 'open-panel': vscode.commands.executeCommand('devgotchi.openPanel'); break;
+      }
+    });
+    this.updateDeveloper();
+  }
+
+  /**
+   * Sends the latest developer stats to the view.
+   */
+  public updateDeveloper() {
+    this.view?.webview.postMessage({ command: 'update', developer: this.devManager.getDeveloper(), pomodoro: this.pomodoro.getState() });
+  }
+
+  private postResult(result: any) {
+    this.view?.webview.postMessage({ command: 'action-result', result });
+    broadcastDeveloper();
+  }
+
+  /**
+   * Generates the HTML for the compact sidebar view.
+   */
+  private getHtmlContent(): string {
+    return `<!DOCTYPE html><html><head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline';">
+    <style>
+    body { font-family: var(--vscode-font-family); padding: 10px; color: var(--vscode-foreground); }
+    .dev-display { text-align: center; margin-bottom: 10px; }
+    .dev-avatar { font-size: 56px; animation: float 3s ease-in-out infinite; }
+    @keyframes float { 0%, 100% { transform: translateY(0); } 50% { transform: translateY(-5px); } }
+    .dev-name { font-weight: bold; font-size: 15px; }
+    .dev-meta { font-size: 12px; opacity: 0.8; margin: 4px 0; }
+    .xp-bar { background: #333; height: 6px; border-radius: 3px; overflow: hidden; margin: 6px auto; max-width: 160px; }
+    .xp-fill { height: 100%; background: linear-gradient(90deg, #667eea, #764ba2); transition: width 0.3s; }
+    .stat { margin: 6px 0; }
+    .stat-label { font-size: 11px; margin-bottom: 2px; display: flex; justify-content: space-between; }
+    .stat-bar { background: #2d2d2d; height: 8px; border-radius: 4px; overflow: hidden; }
+    .stat-fill { height: 100%; transition: width 0.3s; }
+    .health { background: linear-gradient(90deg, #ff4444, #ff6666); }
+    .motivation { background: linear-gradient(90deg, #ffaa00, #ffcc44); }
+    .focus { background: linear-gradient(90deg, #9d4edd, #c77dff); }
+    .energy { background: linear-gradient(90deg, #4444ff, #6666ff); }
+    .actions { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px; margin-top: 12px; }
+    button { padding: 6px 4px; font-size: 12px; cursor: pointer; background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; border-radius: 4px; }
+    button:hover { background: var(--vscode-button-hoverBackground); }
+    .notification { margin-top: 10px; font-size: 12px; text-align: center; opacity: 0.9; }
+    </style></head>
+    <body>
+      <div class="dev-display">
+        <div id="devAvatar" class="dev-avatar">👨‍💻</div>
+        <div id="devName" class="dev-name">Dev</div>
+        <div id="devMeta" class="dev-meta">Level 1 · ☕ 50</div>
+        <div class="xp-bar"><div id="xpBar" class="xp-fill" style="width: 0%;"></div></div>
+      </div>
+      <div id="stats"></div>
+      <div class="actions">
+        <button onclick="vscode.postMessage({ command: 'coffee' })" title="Give coffee (10 beans)">☕ Coffee</button>
+        <button id="btn-break" onclick="vscode.postMessage({ command: 'break' })" title="Take a timed break">🌴 Break</button>
+        <button onclick="vscode.postMessage({ command: 'open-panel' })" title="Games, shop, quests and more">🎯 More</button>
+      </div>
+      <div id="notification" class="notification"></div>
+      <script>
+        const vscode = acquireVsCodeApi();
+        const STATS = [
+          { key: 'health', label: '💪 Health' },
+          { key: 'motivation', label: '🔥 Motivation' },
+          { key: 'focus', label: '🧠 Focus' },
+          { key: 'energy', label: '⚡ Energy' }
+        ];
+        let notificationTimer = null;
+
+        window.addEventListener('message', event => {
+          const m = event.data;
+          if (m.command === 'update') {
+            const dev = m.developer;
+            document.getElementById('devAvatar').textContent = dev.mood === 'sleeping' ? '💤' : dev.role;
+            document.getElementById('devName').textContent = dev.name;
+            document.getElementById('devMeta').textContent = 'Level ' + dev.level + ' · ☕ ' + dev.coffee;
+            document.getElementById('btn-break').textContent = m.pomodoro.phase === 'break' ? '🌴 End Break' : '🌴 Break';
+            document.getElementById('xpBar').style.width = (dev.xp / (dev.level * 100) * 100) + '%';
+            document.getElementById('stats').innerHTML = STATS.map(s =>
+              '<div class="stat"><div class="stat-label"><span>' + s.label + '</span><span>' + Math.round(dev[s.key]) + '%</span></div>' +
+              '<div class="stat-bar"><div class="stat-fill ' + s.key + '" style="width: ' + Math.round(dev[s.key]) + '%;"></div></div></div>'
+            ).join('');
+          }
+          if (m.command === 'action-result') {
+            const n = document.getElementById('notification');
+            n.textContent = m.result.message;
+            clearTimeout(notificationTimer);
+            notificationTimer = setTimeout(() => n.textContent = '', 3000);
+          }
+        });
+      </script>
+    </body></html>`;
+  }
+}
+
 /**
  * Manages the Webview UI for the DevGotchi panel.
  * Handles HTML generation and communication between VS Code and the webview.
@@ -594,40 +3913,76 @@ class DeveloperPanel {
   public static currentPanel: DeveloperPanel | undefined;
   private readonly panel: vscode.WebviewPanel;
   private disposables: vscode.Disposable[] = [];
+  private challenges: ChallengeSessions;
   
   /**
    * Creates or reveals the existing panel.
    */
-  public static createOrShow(extensionUri: vscode.Uri, devManager: DeveloperManager) {
+  public static createOrShow(
+    devManager: DeveloperManager,
+    leaderboard: TeamLeaderboard,
+    history: ActivityHistory,
+    pomodoro: PomodoroTimer,
+    catalog: ContentCatalog
+  ) {
     if (DeveloperPanel.currentPanel) {
       DeveloperPanel.currentPanel.panel.reveal();
       return;
     }
     const panel = vscode.window.createWebviewPanel('devGotchi', '👨‍💻 DevGotchi', vscode.ViewColumn.Two, { enableScripts: true, retainContextWhenHidden: true });
-    DeveloperPanel.currentPanel = new DeveloperPanel(panel, devManager);
+    DeveloperPanel.currentPanel = new DeveloperPanel(panel, devManager, leaderboard, history, pomodoro, catalog);
   }
   
   /**
    * Private constructor. Sets up the webview HTML and message listeners.
    */
-  private constructor(panel: vscode.WebviewPanel, private devManager: DeveloperManager) {
+  private constructor(
+    panel: vscode.WebviewPanel,
+    private devManager: DeveloperManager,
+    private leaderboard: TeamLeaderboard,
+    private history: ActivityHistory,
+    private pomodoro: PomodoroTimer,
+    private catalog: ContentCatalog
+  ) {
     this.panel = panel;
+    this.challenges = new ChallengeSessions(catalog);
     this.panel.webview.html = this.getHtmlContent();
     this.panel.onDidDispose(() => this.dispose(), null, this.disposables);
     this.panel.webview.onDidReceiveMessage((message: any) => {
       switch (message.command) {
         case 'coffee': this.updatePanel(this.devManager.giveCoffee()); break;
-        case 'break': this.updatePanel(this.devManager.takeBreak()); break;
+        case 'break': this.updatePanel(this.pomodoro.toggleBreak()); break;
         case 'rename': this.updatePanel(this.devManager.renameDeveloper(message.name)); break;
         case 'unlock-skill': this.updatePanel(this.devManager.unlockSkill(message.skillId)); break;
+        case 'respec-skills': this.devManager.respecSkills().then(result => this.updatePanel(result)); break;
         case 'buy-item': this.updatePanel(this.devManager.buyItem(message.itemId)); break;
         case 'equip-item': this.updatePanel(this.devManager.equipItem(message.itemId)); break;
-        case 'challenge-completed':
-          const coffee = this.devManager.challengeCompleted(message.score);
-          this.panel.webview.postMessage({ command: 'challenge-result', result: { message: `Earned ${coffee} coffee beans!` } });
-          this.updateDeveloper();
+        case 'use-item': this.updatePanel(this.devManager.useItem(message.itemId)); break;
+        case 'log-quest': this.updatePanel(this.devManager.logManualQuest(message.questId)); break;
+        case 'reroll-quest': this.updatePanel(this.devManager.rerollQuest(message.questId)); break;
+        case 'create-goal': this.devManager.createGoal().then(result => result && this.updatePanel(result)); break;
+        case 'delete-goal': this.updatePanel(this.devManager.deleteGoal(message.goalId)); break;
+        case 'start-challenge': this.startChallenge(message.game); break;
+        case 'abandon-challenge': this.challenges.abandon(); break;
+        case 'challenge-input': this.challenges.recordInput(message.sessionId, message.value); break;
+        case 'quiz-ask': {
+          const question = this.challenges.askQuestion(message.sessionId);
+          if (question) this.panel.webview.postMessage({ command: 'quiz-question', sessionId: message.sessionId, question });
+          break;
+        }
+        case 'quiz-answer': this.answerQuiz(message.sessionId, message.choice); break;
+        case 'challenge-completed': {
+          const outcome = this.challenges.finish(message.sessionId, message.report);
+          const result = typeof outcome === 'string'
+            ? { success: false, message: outcome }
+            : this.devManager.challengeCompleted(outcome);
+          this.panel.webview.postMessage({ command: 'challenge-result', result });
+          broadcastDeveloper();
           break;
+        }
         case 'complete-tutorial': this.devManager.completeTutorial(); break;
+        case 'get-leaderboard': this.sendLeaderboard(); break;
+        case 'get-history': this.panel.webview.postMessage({ command: 'history', days: this.history.getDays() }); break;
       }
     }, null, this.disposables);
     this.updateDeveloper();
@@ -638,14 +3993,96 @@ class DeveloperPanel {
    */
   private updatePanel(result: any) {
     this.panel.webview.postMessage({ command: 'action-result', result });
-    this.updateDeveloper();
+    broadcastDeveloper();
   }
   
+  /**
+   * Issues a mini-game run on the host and hands its content to the webview.
+   */
+  private async startChallenge(game: unknown) {
+    if (typeof game !== 'string' || !Object.prototype.hasOwnProperty.call(CHALLENGES, game)) return;
+    // Fall back to the languages of open files until enough edits were counted
+    const languages = [...new Set([...this.devManager.getTopLanguages(3), ...vscode.workspace.textDocuments.map(doc => doc.languageId)])];
+    const session = await this.challenges.start(game as GameId, languages);
+    if (!session) {
+      const message = game === 'quiz' ? 'No quiz packs found.' : 'No errors or warnings in the workspace. Nothing to fight!';
+      this.panel.webview.postMessage({ command: 'challenge-result', result: { success: false, message } });
+      return;
+    }
+    this.panel.webview.postMessage({
+      command: 'challenge-started',
+      session: { id: session.id, game: session.game, content: session.content, language: session.language, timeLimitMs: session.timeLimitMs, hp: session.hp, maxHp: session.maxHp }
+    });
+  }
+
+  /**
+   * Scores a quiz answer, and pays out the run after its last question.
+   */
+  private answerQuiz(sessionId: string, choice: unknown) {
+    const feedback = this.challenges.answerQuestion(sessionId, typeof choice === 'number' ? choice : -1);
+    if (!feedback) return;
+    this.panel.webview.postMessage({ command: 'quiz-feedback', sessionId, feedback });
+    if (!feedback.done) return;
+    const outcome = this.challenges.finish(sessionId, {});
+    const result = typeof outcome === 'string' ? { success: false, message: outcome } : this.devManager.challengeCompleted(outcome);
+    this.panel.webview.postMessage({ command: 'challenge-result', result });
+    broadcastDeveloper();
+  }
+
+  /**
+   * Hurts a running Lint Boss with problems the user fixed, and pays out once it falls.
+   */
+  damageLintBoss(fixes: { uri: string; counts: DiagnosticCounts }[]) {
+    const session = this.challenges.damage(fixes);
+    if (!session) return;
+    this.panel.webview.postMessage({ command: 'boss-damage', sessionId: session.id, hp: session.hp, maxHp: session.maxHp });
+    if (session.hp! > 0) return;
+    const outcome = this.challenges.finish(session.id, {});
+    if (typeof outcome === 'string') return;
+    this.panel.webview.postMessage({ command: 'challenge-result', result: this.devManager.challengeCompleted(outcome) });
+    broadcastDeveloper();
+  }
+
+  /**
+   * Publishes the local profile, then sends the team's profiles to the webview.
+   */
+  private async sendLeaderboard() {
+    const selfId = this.devManager.getProfile().id;
+    const configured = this.leaderboard.isConfigured();
+    try {
+      await this.leaderboard.publish();
+      const profiles = await this.leaderboard.fetchProfiles();
+      const error = this.leaderboard.getPublishError();
+      this.panel.webview.postMessage({ command: 'leaderboard', profiles, selfId, configured, weekStart: getWeekStart(Date.now()), error });
+    } catch (err) {
+      this.panel.webview.postMessage({
+        command: 'leaderboard',
+        profiles: [this.devManager.getProfile()],
+        selfId,
+        configured,
+        weekStart: getWeekStart(Date.now()),
+        error: `Could not load team board: ${err instanceof Error ? err.message : err}`
+      });
+    }
+  }
+
   /**
    * Sends the latest developer stats to the webview to update the UI.
    */
+  /**
+   * Sends the skills and shop items again after content packs were reloaded.
+   */
+  public updateCatalog() {
+    this.panel.webview.postMessage({ command: 'catalog', skills: this.catalog.skills, items: this.catalog.items });
+  }
+
   public updateDeveloper() {
-    this.panel.webview.postMessage({ command: 'update', developer: this.devManager.getDeveloper() });
+    this.panel.webview.postMessage({
+      command: 'update',
+      developer: this.devManager.getDeveloper(),
+      pomodoro: this.pomodoro.getState(),
+      goalBudgetLeft: this.devManager.getGoalBudgetLeft()
+    });
   }
 
   /**
@@ -721,6 +4158,16 @@ class DeveloperPanel {
     .skill-name { font-weight: bold; display: block; }
     .skill-desc { font-size: 12px; opacity: 0.8; }
     .skill-cost { font-weight: bold; color: #d4a574; }
+    .skill-tree { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; }
+    .skill-branch { display: flex; flex-direction: column; align-items: stretch; }
+    .skill-branch-title { font-weight: bold; text-align: center; margin-bottom: 8px; }
+    .skill-node { background: var(--vscode-input-background); border: 1px solid var(--vscode-panel-border); border-radius: 5px; padding: 8px; font-size: 11px; text-align: left; }
+    .skill-node.learned { border-color: #4caf50; }
+    .skill-node.locked { opacity: 0.5; }
+    .skill-node button { width: 100%; margin-top: 6px; padding: 4px; font-size: 11px; }
+    .skill-link { width: 2px; height: 14px; background: var(--vscode-panel-border); margin: 0 auto; }
+    .skill-link.learned { background: #4caf50; }
+    .skill-ranks { color: #d4a574; letter-spacing: 2px; }
     .shop-tabs { display: flex; gap: 10px; margin-bottom: 15px; border-bottom: 1px solid var(--vscode-panel-border); padding-bottom: 5px; }
     .shop-tab { cursor: pointer; opacity: 0.6; padding: 5px; }
     .shop-tab.active { opacity: 1; font-weight: bold; border-bottom: 2px solid var(--vscode-button-background); }
@@ -743,9 +4190,39 @@ class DeveloperPanel {
     .tutorial-highlight { position: relative; z-index: 9001; box-shadow: 0 0 0 9999px rgba(0,0,0,0.85); pointer-events: none; border-radius: 8px; }
     .tutorial-box { position: fixed; bottom: 20px; left: 50%; transform: translateX(-50%); background: var(--vscode-editor-background); border: 2px solid var(--vscode-focusBorder); padding: 20px; border-radius: 8px; z-index: 9002; width: 90%; max-width: 400px; text-align: center; box-shadow: 0 4px 20px rgba(0,0,0,0.5); display: none; }
     .tutorial-box.active { display: block; }
+    .view-tabs { display: flex; justify-content: center; }
+    .trophy-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(120px, 1fr)); gap: 8px; max-height: 400px; overflow-y: auto; }
+    .trophy { background: var(--vscode-input-background); border: 1px solid var(--vscode-panel-border); border-radius: 8px; padding: 10px; text-align: center; }
+    .trophy.locked { opacity: 0.4; filter: grayscale(1); }
+    .trophy-emoji { font-size: 28px; }
+    .trophy-name { font-weight: bold; font-size: 12px; margin: 4px 0; }
+    .trophy-desc { font-size: 11px; opacity: 0.8; }
+    .history-section { background: var(--vscode-input-background); padding: 12px; border-radius: 8px; border: 1px solid var(--vscode-panel-border); margin-bottom: 12px; }
+    .history-title { font-size: 13px; font-weight: 600; margin-bottom: 8px; }
+    .bar-chart { display: flex; align-items: flex-end; gap: 2px; height: 80px; }
+    .bar-group { flex: 1; display: flex; align-items: flex-end; gap: 1px; height: 100%; }
+    .bar { flex: 1; min-height: 1px; border-radius: 2px 2px 0 0; }
+    .chart-axis { display: flex; justify-content: space-between; font-size: 10px; opacity: 0.6; margin-top: 4px; }
+    .chart-legend { font-size: 11px; margin-top: 6px; display: flex; gap: 12px; flex-wrap: wrap; }
+    .legend-swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; vertical-align: middle; }
     </style></head>
     <body>
       <div class="container">
+        <div class="shop-tabs view-tabs">
+          <span id="tabMain" class="shop-tab active" onclick="showView('main')">👨‍💻 Developer</span>
+          <span id="tabHistory" class="shop-tab" onclick="showView('history')">📈 History</span>
+        </div>
+
+        <div id="historyView" style="display:none">
+          <div class="shop-tabs">
+            <span id="rangeTab7" class="shop-tab active" onclick="setHistoryRange(7)">7 days</span>
+            <span id="rangeTab30" class="shop-tab" onclick="setHistoryRange(30)">30 days</span>
+            <span id="rangeTab0" class="shop-tab" onclick="setHistoryRange(0)">All</span>
+          </div>
+          <div id="historyContent"></div>
+        </div>
+
+        <div id="mainView">
         <div class="dev-display">
           <div id="devAvatar" class="dev-avatar">👨‍💻</div>
           <div class="dev-name-container">
@@ -797,23 +4274,27 @@ class DeveloperPanel {
         <div class="actions">
           <button id="btn-coffee" class="action-btn" onclick="giveCoffee()" title="Give coffee (10 beans)"><div class="action-icon">☕</div><div class="action-label">Coffee</div></button>
           <button id="btn-games" class="action-btn" onclick="toggleChallenges()" title="Coding challenges"><div class="action-icon">🎯</div><div class="action-label">Games</div></button>
-          <button id="btn-break" class="action-btn" onclick="takeBreak()" title="Take a break"><div class="action-icon">🌴</div><div class="action-label">Break</div></button>
+          <button id="btn-break" class="action-btn" onclick="takeBreak()" title="Take a timed break"><div class="action-icon">🌴</div><div class="action-label">Break</div></button>
           <button id="btn-skills" class="action-btn" onclick="showSkills()" title="Skill Tree"><div class="action-icon">⚡</div><div class="action-label">Skills</div></button>
           <button id="btn-shop" class="action-btn" onclick="showShop()" title="Shop"><div class="action-icon">🛍️</div><div class="action-label">Shop</div></button>
           <button id="btn-rank" class="action-btn" onclick="showLeaderboard()" title="Leaderboard"><div class="action-icon">🏆</div><div class="action-label">Rank</div></button>
-          <button id="btn-quests" class="action-btn" onclick="showQuests()" title="Daily Quests"><div class="action-icon">📜</div><div class="action-label">Quests</div></button>
+          <button id="btn-quests" class="action-btn" onclick="showQuests()" title="Quests"><div class="action-icon">📜</div><div class="action-label">Quests</div></button>
+          <button id="btn-trophies" class="action-btn" onclick="showTrophies()" title="Trophy Case"><div class="action-icon">🏅</div><div class="action-label">Trophies</div></button>
         </div>
         
         <div id="challengeContainer" class="challenge-container">
           <h3 style="text-align: center; margin-bottom: 15px;">Coding Challenges</h3>
           <div id="challengeMenu" class="challenge-menu">
-            <button class="challenge-btn" onclick="startBugHunt()">🐛<br>Bug Hunt</button>
-            <button class="challenge-btn" onclick="startSpeedTest()">⚡<br>Speed Test</button>
-            <button class="challenge-btn" onclick="startBossBattle()">👾<br>Boss Battle</button>
+            <button class="challenge-btn" onclick="startChallenge('bug-hunt')">🐛<br>Bug Hunt</button>
+            <button class="challenge-btn" onclick="startChallenge('speed-test')">⚡<br>Speed Test</button>
+            <button class="challenge-btn" onclick="startChallenge('boss')">👾<br>Boss Battle</button>
+            <button class="challenge-btn" onclick="startChallenge('lint-boss')">🐲<br>Lint Boss</button>
+            <button class="challenge-btn" onclick="startChallenge('quiz')">❓<br>Code Quiz</button>
           </div>
           <div id="challengeArea" style="display:none"></div>
           <button onclick="backToMenu()" style="width:100%; margin-top:10px; font-size: 14px;">Exit Game</button>
         </div>
+        </div>
       </div>
 
       <div id="renameModal" class="modal">
@@ -828,10 +4309,11 @@ class DeveloperPanel {
       </div>
 
       <div id="skillsModal" class="modal">
-        <div class="modal-content" style="max-width: 500px;">
+        <div class="modal-content" style="max-width: 720px; max-height: 90vh; overflow-y: auto;">
           <h3>Skill Tree</h3>
-          <div id="skillsList" class="skills-list"></div>
-          <button onclick="closeSkillsModal()" style="margin-top: 15px; width: 100%;">Close</button>
+          <div id="skillsList" class="skill-tree"></div>
+          <button id="respecBtn" onclick="respecSkills()" style="margin-top: 15px; width: 100%;"></button>
+          <button onclick="closeSkillsModal()" style="margin-top: 10px; width: 100%;">Close</button>
         </div>
       </div>
 
@@ -845,9 +4327,14 @@ class DeveloperPanel {
 
       <div id="leaderboardModal" class="modal">
         <div class="modal-content" style="max-width: 400px;">
-          <h3>🏆 Global Leaderboard</h3>
+          <h3>🏆 Team Leaderboard</h3>
+          <div class="shop-tabs">
+            <span id="lbTabAll" class="shop-tab active" onclick="setLeaderboardView('all')">All Time</span>
+            <span id="lbTabWeek" class="shop-tab" onclick="setLeaderboardView('week')">This Week</span>
+          </div>
+          <div id="leaderboardStatus" style="font-size: 12px; opacity: 0.7;">Loading...</div>
           <table class="leaderboard-table">
-            <thead><tr><th>#</th><th>Dev</th><th>Lvl</th></tr></thead>
+            <thead id="leaderboardHead"></thead>
             <tbody id="leaderboardBody"></tbody>
           </table>
           <button onclick="closeLeaderboardModal()" style="margin-top: 15px; width: 100%;">Close</button>
@@ -856,12 +4343,21 @@ class DeveloperPanel {
 
       <div id="questsModal" class="modal">
         <div class="modal-content" style="max-width: 400px;">
-          <h3>📜 Daily Quests</h3>
+          <h3>📜 Quests</h3>
           <div id="questsList"></div>
           <button onclick="closeQuestsModal()" style="margin-top: 15px; width: 100%;">Close</button>
         </div>
       </div>
 
+      <div id="trophiesModal" class="modal">
+        <div class="modal-content" style="max-width: 500px;">
+          <h3>🏅 Trophy Case</h3>
+          <div id="trophiesSummary" style="text-align:center; margin-bottom:10px; font-weight:bold; color:#d4a574;"></div>
+          <div id="trophiesList" class="trophy-grid"></div>
+          <button onclick="closeTrophiesModal()" style="margin-top: 15px; width: 100%;">Close</button>
+        </div>
+      </div>
+
       <div id="tutorialOverlay" class="tutorial-overlay"></div>
       <div id="tutorialBox" class="tutorial-box">
         <h3 id="tutTitle">Welcome!</h3>
@@ -873,13 +4369,21 @@ class DeveloperPanel {
         const vscode = acquireVsCodeApi();
         let currentChallenge = null;
         let currentDev = null;
-        const SKILLS = ${JSON.stringify(SKILLS)};
-        const SHOP_ITEMS = ${JSON.stringify(SHOP_ITEMS)};
+        let goalBudgetLeft = 0;
+        let SKILLS = ${toScriptJson(this.catalog.skills)};
+        const SKILL_BRANCHES = ${JSON.stringify(SKILL_BRANCHES)};
+        const SKILL_RESPEC = ${JSON.stringify(SKILL_RESPEC)};
+        let SHOP_ITEMS = ${toScriptJson(this.catalog.items)};
+        const EQUIP_SLOTS = ${JSON.stringify(EQUIP_SLOTS)};
+        const QUEST_CHAINS = ${JSON.stringify(QUEST_CHAINS.map(({ id, name, emoji, bonus, steps }) => ({ id, name, emoji, bonus, steps: steps.length })))};
+        const QUEST_REROLL = ${JSON.stringify(QUEST_REROLL)};
+        const ACHIEVEMENTS = ${JSON.stringify(ACHIEVEMENTS)};
 
         function giveCoffee() { vscode.postMessage({ command: 'coffee' }); }
         function takeBreak() { vscode.postMessage({ command: 'break' }); }
         function buyItem(id) { vscode.postMessage({ command: 'buy-item', itemId: id }); }
         function equipItem(id) { vscode.postMessage({ command: 'equip-item', itemId: id }); }
+        function useItem(id) { vscode.postMessage({ command: 'use-item', itemId: id }); }
         function toggleChallenges() { document.getElementById('challengeContainer').classList.toggle('active'); }
         
         function showRenameModal() {
@@ -908,6 +4412,8 @@ class DeveloperPanel {
           document.getElementById('challengeMenu').style.display = 'grid';
           document.getElementById('challengeArea').style.display = 'none';
           if (currentChallenge) clearInterval(currentChallenge.interval);
+          currentChallenge = null;
+          vscode.postMessage({ command: 'abandon-challenge' });
         }
 
         function showSkills() {
@@ -916,88 +4422,230 @@ class DeveloperPanel {
         }
         function closeSkillsModal() { document.getElementById('skillsModal').classList.remove('active'); }
         
+        // One column per branch, nodes stacked by tier and linked to the node they require
         function renderSkills() {
           const list = document.getElementById('skillsList');
           list.innerHTML = '';
           if (!currentDev) return;
+          const ranks = currentDev.skills || {};
           
-          SKILLS.forEach(skill => {
-            const unlocked = currentDev.skills && currentDev.skills.includes(skill.id);
-            const canAfford = currentDev.coffee >= skill.cost;
-            const costHtml = canAfford ? skill.cost : '<span style="color:#ff4444">' + skill.cost + '</span>';
-            const btnHtml = unlocked 
-              ? '<span style="color:#4caf50; font-weight:bold;">Unlocked</span>' 
-              : '<button onclick="unlockSkill(\\'' + skill.id + '\\')" style="padding:5px 10px; font-size:12px;">Unlock (' + costHtml + ')</button>';
-            
-            list.innerHTML += '<div class="skill-item"><div class="skill-info"><span class="skill-name">' + skill.name + '</span><span class="skill-desc">' + skill.description + '</span></div><div>' + btnHtml + '</div></div>';
+          SKILL_BRANCHES.forEach(branch => {
+            const column = document.createElement('div');
+            column.className = 'skill-branch';
+            const title = document.createElement('div');
+            title.className = 'skill-branch-title';
+            title.textContent = branch.emoji + ' ' + branch.name;
+            column.appendChild(title);
+
+            SKILLS.filter(skill => skill.branch === branch.id).sort((a, b) => a.tier - b.tier).forEach((skill, i) => {
+              const rank = ranks[skill.id] || 0;
+              const maxRank = skill.costs.length;
+              const missing = skill.requires.filter(id => !ranks[id]);
+              const locked = currentDev.level < skill.minLevel || missing.length > 0;
+              if (i > 0) {
+                const link = document.createElement('div');
+                link.className = 'skill-link' + (rank > 0 ? ' learned' : '');
+                column.appendChild(link);
+              }
+
+              const node = document.createElement('div');
+              node.className = 'skill-node' + (rank > 0 ? ' learned' : '') + (locked && rank === 0 ? ' locked' : '');
+              const name = document.createElement('div');
+              name.className = 'skill-name';
+              name.textContent = skill.name;
+              const pips = document.createElement('div');
+              pips.className = 'skill-ranks';
+              pips.textContent = '●'.repeat(rank) + '○'.repeat(maxRank - rank);
+              const desc = document.createElement('div');
+              desc.className = 'skill-desc';
+              desc.textContent = skill.description + (maxRank > 1 ? ' per rank' : '');
+              node.append(name, pips, desc);
+
+              if (rank >= maxRank) {
+                const done = document.createElement('div');
+                done.style.cssText = 'color:#4caf50; font-weight:bold; margin-top:6px;';
+                done.textContent = 'Maxed';
+                node.appendChild(done);
+              } else if (currentDev.level < skill.minLevel) {
+                const gate = document.createElement('div');
+                gate.style.marginTop = '6px';
+                gate.textContent = '🔒 Level ' + skill.minLevel;
+                node.appendChild(gate);
+              } else if (missing.length > 0) {
+                const gate = document.createElement('div');
+                gate.style.marginTop = '6px';
+                gate.textContent = '🔒 Needs ' + missing.map(id => (SKILLS.find(s => s.id === id) || { name: id }).name).join(', ');
+                node.appendChild(gate);
+              } else {
+                const cost = skill.costs[rank];
+                const btn = document.createElement('button');
+                btn.textContent = (rank === 0 ? 'Learn' : 'Rank up') + ' (' + cost + ' ☕)';
+                btn.disabled = currentDev.coffee < cost;
+                btn.onclick = () => unlockSkill(skill.id);
+                node.appendChild(btn);
+              }
+              column.appendChild(node);
+            });
+            list.appendChild(column);
           });
+
+          const spent = SKILLS.reduce((sum, skill) => sum + skill.costs.slice(0, ranks[skill.id] || 0).reduce((a, b) => a + b, 0), 0);
+          const fee = Math.max(SKILL_RESPEC.minFee, Math.round(spent * SKILL_RESPEC.feeShare));
+          const respec = document.getElementById('respecBtn');
+          respec.textContent = '🔄 Respec (refund ' + Math.max(0, spent - fee) + ' ☕, fee ' + fee + ' ☕)';
+          respec.disabled = spent === 0;
         }
 
         function unlockSkill(id) {
           vscode.postMessage({ command: 'unlock-skill', skillId: id });
         }
 
+        function respecSkills() {
+          vscode.postMessage({ command: 'respec-skills' });
+        }
+
         function showShop() {
           document.getElementById('shopModal').classList.add('active');
           renderShop();
         }
         function closeShopModal() { document.getElementById('shopModal').classList.remove('active'); }
 
+        // Loadout and running consumables first, then everything for sale grouped by slot
         function renderShop() {
           const list = document.getElementById('shopList');
           list.innerHTML = '';
           if (!currentDev) return;
+          const equipped = currentDev.equipped || {};
+          const now = Date.now();
 
-          SHOP_ITEMS.forEach(item => {
-            const owned = currentDev.inventory && currentDev.inventory.includes(item.id);
-            const canAfford = currentDev.coffee >= item.cost;
-            const costHtml = canAfford ? item.cost : '<span style="color:#ff4444">' + item.cost + '</span>';
-            let btnHtml = '';
-            
-            if (owned) {
-              if (item.type === 'skin') {
-                const isEquipped = currentDev.role === item.emoji;
-                btnHtml = isEquipped 
-                  ? '<span style="color:#4caf50; font-size:12px;">Equipped</span>' 
-                  : '<button onclick="equipItem(\\'' + item.id + '\\')" style="padding:5px 10px; font-size:12px;">Equip</button>';
-              } else {
-                btnHtml = '<span style="color:#4caf50; font-size:12px;">Active</span>';
-              }
-            } else {
-              btnHtml = '<button onclick="buyItem(\\'' + item.id + '\\')" style="padding:5px 10px; font-size:12px;">Buy (' + costHtml + ')</button>';
+          const heading = (text) => {
+            const h = document.createElement('h4');
+            h.style.cssText = 'margin: 10px 0 6px; text-align: left;';
+            h.textContent = text;
+            list.appendChild(h);
+          };
+          const row = (title, desc, control) => {
+            const item = document.createElement('div');
+            item.className = 'skill-item';
+            const info = document.createElement('div');
+            info.className = 'skill-info';
+            const name = document.createElement('span');
+            name.className = 'skill-name';
+            name.textContent = title;
+            const d = document.createElement('span');
+            d.className = 'skill-desc';
+            d.textContent = desc;
+            info.append(name, d);
+            item.append(info, control);
+            list.appendChild(item);
+          };
+          const button = (text, onclick, disabled) => {
+            const b = document.createElement('button');
+            b.style.cssText = 'padding:5px 10px; font-size:12px;';
+            b.textContent = text;
+            b.onclick = onclick;
+            b.disabled = !!disabled;
+            return b;
+          };
+          const label = (text, color) => {
+            const l = document.createElement('span');
+            l.style.cssText = 'font-size:12px; color:' + color + ';';
+            l.textContent = text;
+            return l;
+          };
+          const display = (item) => (item.emoji ? item.emoji + ' ' : '') + item.name;
+
+          heading('🎒 Loadout');
+          EQUIP_SLOTS.forEach(slot => {
+            const item = SHOP_ITEMS.find(i => i.id === equipped[slot.id]);
+            if (!item && equipped[slot.id]) {
+              // Worn item from a content pack that isn't loaded; equipping something else replaces it
+              row(slot.name + ': ' + equipped[slot.id], 'From a content pack that isn\\'t loaded here', label('', ''));
+              return;
             }
+            row(slot.name + ': ' + (item ? display(item) : 'empty'), item ? item.description : 'Buy or equip an item for this slot', item ? button('Unequip', () => equipItem(item.id)) : label('', ''));
+          });
+          (currentDev.activeEffects || []).filter(e => e.expiresAt > now).forEach(e => {
+            const item = SHOP_ITEMS.find(i => i.id === e.itemId);
+            if (item) row(display(item), item.description, label(Math.ceil((e.expiresAt - now) / 60000) + 'm left', '#4caf50'));
+          });
+
+          EQUIP_SLOTS.forEach(slot => {
+            heading(slot.name);
+            SHOP_ITEMS.filter(item => item.type === slot.id).forEach(item => {
+              const owned = currentDev.inventory && currentDev.inventory.includes(item.id);
+              let control;
+              if (equipped[slot.id] === item.id) control = label('Equipped', '#4caf50');
+              else if (owned) control = button('Equip', () => equipItem(item.id));
+              else control = button('Buy (' + item.cost + ' ☕)', () => buyItem(item.id), currentDev.coffee < item.cost);
+              row(display(item), item.description, control);
+            });
+          });
 
-            list.innerHTML += '<div class="skill-item"><div class="skill-info"><span class="skill-name">' + (item.emoji ? item.emoji + ' ' : '') + item.name + '</span><span class="skill-desc">' + item.description + '</span></div><div>' + btnHtml + '</div></div>';
+          heading('Consumables');
+          SHOP_ITEMS.filter(item => item.type === 'consumable').forEach(item => {
+            const count = (currentDev.consumables || {})[item.id] || 0;
+            const controls = document.createElement('div');
+            controls.style.cssText = 'display:flex; gap:5px; align-items:center;';
+            controls.append(
+              label('×' + count, ''),
+              button('Use', () => useItem(item.id), count === 0),
+              button('Buy (' + item.cost + ' ☕)', () => buyItem(item.id), currentDev.coffee < item.cost)
+            );
+            row(display(item), item.description, controls);
           });
         }
 
+        let leaderboardView = 'all';
+        let leaderboardData = null;
+
         function showLeaderboard() {
           document.getElementById('leaderboardModal').classList.add('active');
-          renderLeaderboard();
+          document.getElementById('leaderboardStatus').textContent = 'Loading...';
+          vscode.postMessage({ command: 'get-leaderboard' });
         }
         function closeLeaderboardModal() { document.getElementById('leaderboardModal').classList.remove('active'); }
 
+        function setLeaderboardView(view) {
+          leaderboardView = view;
+          document.getElementById('lbTabAll').classList.toggle('active', view === 'all');
+          document.getElementById('lbTabWeek').classList.toggle('active', view === 'week');
+          renderLeaderboard();
+        }
+
         function renderLeaderboard() {
-          if (!currentDev) return;
+          if (!leaderboardData) return;
+          const head = document.getElementById('leaderboardHead');
           const body = document.getElementById('leaderboardBody');
+          const status = document.getElementById('leaderboardStatus');
           body.innerHTML = '';
-          
-          // Generate fake rivals based on user level
-          const rivals = [
-            { name: "VimMaster", level: currentDev.level + 2 },
-            { name: "CodeNinja", level: Math.max(1, currentDev.level - 1) },
-            { name: "BugHunter", level: currentDev.level + 5 },
-            { name: "StackOverflow", level: Math.max(1, currentDev.level - 3) },
-            { name: "GitPushForce", level: currentDev.level + 1 }
-          ];
-          
-          const all = [...rivals, { name: currentDev.name, level: currentDev.level, isUser: true }];
-          all.sort((a, b) => b.level - a.level);
-          
-          all.forEach((dev, index) => {
+
+          if (leaderboardData.error) status.textContent = leaderboardData.error;
+          else if (!leaderboardData.configured) status.textContent = 'Set "devgotchi.leaderboard.location" to share a board with your team.';
+          else status.textContent = leaderboardData.profiles.length + ' developers';
+
+          // Weekly XP only counts if it was earned in the current week
+          const weeklyXp = p => p.weekStart === leaderboardData.weekStart ? p.weeklyXp : 0;
+          const rows = leaderboardData.profiles.slice();
+          let columns;
+          if (leaderboardView === 'week') {
+            rows.sort((a, b) => weeklyXp(b) - weeklyXp(a) || b.level - a.level);
+            head.innerHTML = '<tr><th>#</th><th>Dev</th><th>Week XP</th></tr>';
+            columns = p => [weeklyXp(p)];
+          } else {
+            rows.sort((a, b) => b.level - a.level || b.totalXp - a.totalXp || b.streak - a.streak);
+            head.innerHTML = '<tr><th>#</th><th>Dev</th><th>Lvl</th><th>XP</th><th>🔥</th></tr>';
+            columns = p => [p.level, p.totalXp, p.streak];
+          }
+
+          rows.forEach((p, index) => {
             const row = document.createElement('tr');
-            if (dev.isUser) row.className = 'leaderboard-row highlight';
-            row.innerHTML = '<td>' + (index + 1) + '</td><td>' + dev.name + '</td><td>' + dev.level + '</td>';
+            if (p.id === leaderboardData.selfId) row.className = 'leaderboard-row highlight';
+            [index + 1, p.role + ' ' + p.name, ...columns(p)].forEach(value => {
+              const cell = document.createElement('td');
+              cell.textContent = value;
+              row.appendChild(cell);
+            });
             body.appendChild(row);
           });
         }
@@ -1013,19 +4661,195 @@ class DeveloperPanel {
           const list = document.getElementById('questsList');
           list.innerHTML = '';
 
-          const streak = currentDev.questStreak || 0;
-          list.innerHTML += '<div style="text-align:center; margin-bottom:10px; font-weight:bold; color:#d4a574;">🔥 Quest Streak: ' + streak + ' days</div>';
+          const heading = (text, note) => {
+            const h = document.createElement('h4');
+            h.style.cssText = 'margin: 12px 0 6px; text-align: left; display:flex; justify-content:space-between;';
+            h.textContent = text;
+            if (note) {
+              const hint = document.createElement('span');
+              hint.style.cssText = 'font-weight:normal; font-size:11px; opacity:0.7;';
+              hint.textContent = note;
+              h.appendChild(hint);
+            }
+            list.appendChild(h);
+          };
+          const small = (text) => {
+            const b = document.createElement('button');
+            b.style.cssText = 'padding:2px 8px; font-size:11px; margin-left:6px;';
+            b.textContent = text;
+            return b;
+          };
+          // Quest text can come from content packs, so it only goes through textContent
+          const row = (q, extra) => {
+            const pct = Math.floor(Math.min(100, (q.progress / q.target) * 100));
+            const item = document.createElement('div');
+            item.className = 'quest-item';
+            const header = document.createElement('div');
+            header.className = 'quest-header';
+            const desc = document.createElement('span');
+            desc.textContent = q.description + ' (' + q.reward + ' ☕)';
+            const status = document.createElement('span');
+            status.textContent = q.completed ? '✅' : q.type === 'manual' ? q.progress + ' / ' + q.target : pct + '%';
+            header.append(desc, status);
+            if (q.type === 'manual' && !q.completed) {
+              const log = small('+1');
+              log.title = 'Log progress on this quest';
+              log.onclick = () => vscode.postMessage({ command: 'log-quest', questId: q.id });
+              status.appendChild(log);
+            }
+            if (extra && !q.completed) status.appendChild(extra);
+            const bar = document.createElement('div');
+            bar.className = 'quest-progress-bg';
+            const fill = document.createElement('div');
+            fill.className = 'quest-progress-fill';
+            fill.style.width = pct + '%';
+            bar.appendChild(fill);
+            item.append(header, bar);
+            list.appendChild(item);
+          };
+          const empty = (text) => {
+            const p = document.createElement('p');
+            p.style.cssText = 'text-align:center; opacity:0.7; font-size:12px;';
+            p.textContent = text;
+            list.appendChild(p);
+          };
 
+          heading('☀️ Daily', '🔥 Quest Streak: ' + (currentDev.questStreak || 0) + ' days');
+          const rerollCost = QUEST_REROLL.baseCost + QUEST_REROLL.costStep * (currentDev.questRerolls || 0);
           (currentDev.quests || []).forEach(q => {
-            const pct = Math.floor(Math.min(100, (q.progress / q.target) * 100));
-            const status = q.completed ? '✅' : pct + '%';
-            const html = '<div class="quest-item"><div class="quest-header"><span>' + q.description + '</span><span>' + status + '</span></div><div class="quest-progress-bg"><div class="quest-progress-fill" style="width: ' + pct + '%"></div></div></div>';
-            list.innerHTML += html;
+            const reroll = small('🎲 ' + rerollCost + ' ☕');
+            reroll.title = 'Swap this quest for another one';
+            reroll.disabled = currentDev.coffee < rerollCost;
+            reroll.onclick = () => vscode.postMessage({ command: 'reroll-quest', questId: q.id });
+            row(q, reroll);
           });
-          
-          if (!currentDev.quests || currentDev.quests.length === 0) {
-            list.innerHTML = '<p style="text-align:center; opacity:0.7;">No active quests. Wait for daily reset!</p>';
+          if (!currentDev.quests || currentDev.quests.length === 0) empty('No active quests. Wait for daily reset!');
+
+          heading('📅 Weekly', 'Resets Monday');
+          (currentDev.weeklyQuests || []).forEach(q => row(q));
+          if (!currentDev.weeklyQuests || currentDev.weeklyQuests.length === 0) empty('Weekly quests arrive with the new week.');
+
+          heading('⛓️ Chains');
+          QUEST_CHAINS.forEach(chain => {
+            const done = (currentDev.chainSteps || {})[chain.id] || 0;
+            const title = document.createElement('div');
+            title.style.cssText = 'font-size:12px; font-weight:bold; margin: 6px 0 2px; text-align:left;';
+            title.textContent = chain.emoji + ' ' + chain.name + ' · ' + (done >= chain.steps ? 'Complete ✅' : 'Step ' + (done + 1) + ' / ' + chain.steps + ' · +' + chain.bonus + ' ☕ at the end');
+            list.appendChild(title);
+            (currentDev.chainQuests || []).filter(q => q.chainId === chain.id).forEach(q => row(q));
+          });
+
+          heading('🎯 My Goals', goalBudgetLeft + ' ☕ budget left this week');
+          (currentDev.goals || []).forEach(g => {
+            const days = Math.max(0, Math.ceil((g.deadline - Date.now()) / 86400000));
+            const remove = small('✕');
+            remove.title = 'Delete goal (unearned beans go back to the budget)';
+            remove.onclick = () => vscode.postMessage({ command: 'delete-goal', goalId: g.id });
+            row(Object.assign({}, g, {
+              progress: Math.floor(g.progress),
+              description: g.description + (g.completed ? '' : ' · ' + (days === 0 ? 'due today' : days + 'd left'))
+            }), remove);
+          });
+          if (!currentDev.goals || currentDev.goals.length === 0) empty('Set your own goals, like 2 hours in payments/ or 5 closed TODOs.');
+          const create = small('➕ New Goal');
+          create.style.marginTop = '6px';
+          create.disabled = goalBudgetLeft === 0;
+          create.onclick = () => vscode.postMessage({ command: 'create-goal' });
+          list.appendChild(create);
+        }
+
+        function showTrophies() {
+          document.getElementById('trophiesModal').classList.add('active');
+          renderTrophies();
+        }
+        function closeTrophiesModal() { document.getElementById('trophiesModal').classList.remove('active'); }
+
+        function renderTrophies() {
+          if (!currentDev) return;
+          const unlocked = currentDev.achievements || [];
+          document.getElementById('trophiesSummary').textContent = '🏆 ' + unlocked.length + ' / ' + ACHIEVEMENTS.length + ' unlocked';
+          document.getElementById('trophiesList').innerHTML = ACHIEVEMENTS.map(a => {
+            const has = unlocked.includes(a.id);
+            const reward = a.reward > 0 ? '<div class="skill-cost" style="font-size:11px;">' + a.reward + ' ☕</div>' : '';
+            return '<div class="trophy' + (has ? '' : ' locked') + '"><div class="trophy-emoji">' + (has ? a.emoji : '🔒') + '</div><div class="trophy-name">' + a.name + '</div><div class="trophy-desc">' + a.description + '</div>' + reward + '</div>';
+          }).join('');
+        }
+
+        // History View
+        let historyDays = [];
+        let historyRange = 7;
+
+        function showView(view) {
+          document.getElementById('mainView').style.display = view === 'main' ? 'block' : 'none';
+          document.getElementById('historyView').style.display = view === 'history' ? 'block' : 'none';
+          document.getElementById('tabMain').classList.toggle('active', view === 'main');
+          document.getElementById('tabHistory').classList.toggle('active', view === 'history');
+          if (view === 'history') vscode.postMessage({ command: 'get-history' });
+        }
+
+        function setHistoryRange(days) {
+          historyRange = days;
+          [7, 30, 0].forEach(d => document.getElementById('rangeTab' + d).classList.toggle('active', d === days));
+          renderHistory();
+        }
+
+        // Fills in missing days so gaps in activity show up as empty bars
+        function getHistoryRange() {
+          if (historyDays.length === 0) return [];
+          const byDate = {};
+          historyDays.forEach(d => byDate[d.date] = d);
+          const first = new Date(historyDays[0].date + 'T00:00:00');
+          const count = historyRange || Math.round((Date.now() - first.getTime()) / 86400000) + 1;
+          const days = [];
+          for (let i = count - 1; i >= 0; i--) {
+            const date = new Date();
+            date.setDate(date.getDate() - i);
+            const key = date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0') + '-' + String(date.getDate()).padStart(2, '0');
+            days.push(byDate[key] || { date: key, xp: 0, saves: 0, commits: 0, bugsFixed: 0, samples: [] });
+          }
+          return days;
+        }
+
+        function barChart(title, days, series) {
+          const max = Math.max(1, ...days.flatMap(d => series.map(s => d[s.key])));
+          const bars = days.map(d => '<div class="bar-group">' + series.map(s =>
+            '<div class="bar" style="height:' + (d[s.key] / max * 100) + '%; background:' + s.color + ';" title="' + d.date + ': ' + d[s.key] + ' ' + s.label + '"></div>'
+          ).join('') + '</div>').join('');
+          const legend = series.map(s => '<span><span class="legend-swatch" style="background:' + s.color + '"></span>' + s.label + ' (' + days.reduce((a, d) => a + d[s.key], 0) + ')</span>').join('');
+          return '<div class="history-section"><div class="history-title">' + title + '</div><div class="bar-chart">' + bars + '</div>' +
+            '<div class="chart-axis"><span>' + days[0].date + '</span><span>' + days[days.length - 1].date + '</span></div><div class="chart-legend">' + legend + '</div></div>';
+        }
+
+        function statChart(days) {
+          const samples = days.flatMap(d => d.samples);
+          if (samples.length < 2) return '<div class="history-section"><div class="history-title">Stats</div><p style="opacity:0.7; font-size:12px;">Not enough samples yet. Check back after a while.</p></div>';
+          const start = new Date(days[0].date + 'T00:00:00').getTime();
+          const span = Math.max(1, Date.now() - start);
+          const stats = [
+            { key: 'health', label: '💪 Health', color: '#ff4444' },
+            { key: 'motivation', label: '🔥 Motivation', color: '#ffaa00' },
+            { key: 'focus', label: '🧠 Focus', color: '#9d4edd' },
+            { key: 'energy', label: '⚡ Energy', color: '#4444ff' }
+          ];
+          const lines = stats.map(st => '<polyline fill="none" stroke="' + st.color + '" stroke-width="1.5" vector-effect="non-scaling-stroke" points="' +
+            samples.map(p => ((p.time - start) / span * 300).toFixed(1) + ',' + (100 - p[st.key])).join(' ') + '"/>').join('');
+          const legend = stats.map(st => '<span><span class="legend-swatch" style="background:' + st.color + '"></span>' + st.label + '</span>').join('');
+          return '<div class="history-section"><div class="history-title">Stats</div><svg viewBox="0 0 300 100" preserveAspectRatio="none" style="width:100%; height:100px;">' + lines + '</svg>' +
+            '<div class="chart-axis"><span>' + days[0].date + '</span><span>now</span></div><div class="chart-legend">' + legend + '</div></div>';
+        }
+
+        function renderHistory() {
+          const content = document.getElementById('historyContent');
+          const days = getHistoryRange();
+          if (days.length === 0) {
+            content.innerHTML = '<p style="text-align:center; opacity:0.7;">No activity recorded yet. Start coding!</p>';
+            return;
           }
+          content.innerHTML =
+            barChart('Daily XP', days, [{ key: 'xp', label: 'XP', color: '#764ba2' }]) +
+            barChart('Saves & Commits', days, [{ key: 'saves', label: 'Saves', color: '#4caf50' }, { key: 'commits', label: 'Commits', color: '#d4a574' }]) +
+            barChart('Bugs Fixed', days, [{ key: 'bugsFixed', label: 'Bugs', color: '#ff6666' }]) +
+            statChart(days);
         }
 
         // Tutorial Logic
@@ -1035,10 +4859,11 @@ class DeveloperPanel {
           { target: null, title: "Welcome to DevGotchi! 👨‍💻", text: "Your personal developer avatar. Keep them happy and productive!" },
           { target: "btn-coffee", title: "Give Coffee ☕", text: "Spend beans to boost Energy and Focus instantly." },
           { target: "btn-games", title: "Play Games 🎯", text: "Earn XP and Coffee Beans by completing mini-games." },
-          { target: "btn-break", title: "Take a Break 🌴", text: "Restore Energy and Health, but be careful—Focus will drop!" },
+          { target: "btn-break", title: "Take a Break 🌴", text: "Start a timed break to restore Energy. It only pays out in full if you really step away from the editor!" },
           { target: "btn-skills", title: "Skill Tree ⚡", text: "Unlock passive abilities to make your stats decay slower." },
           { target: "btn-shop", title: "The Shop 🛍️", text: "Buy cool outfits and office upgrades with your beans." },
-          { target: "btn-quests", title: "Daily Quests 📜", text: "Complete daily coding tasks for big rewards." }
+          { target: "btn-quests", title: "Quests 📜", text: "Complete daily and weekly quests, quest chains and your own goals for big rewards." },
+          { target: "btn-trophies", title: "Trophy Case 🏅", text: "Collect achievements for long-term milestones. Some pay out beans!" }
         ];
 
         function startTutorial() {
@@ -1080,6 +4905,7 @@ class DeveloperPanel {
           if (m.command === 'update') {
             const dev = m.developer;
             currentDev = dev;
+            goalBudgetLeft = m.goalBudgetLeft;
             document.getElementById('healthBar').style.width = Math.round(dev.health) + '%';
             document.getElementById('healthText').textContent = Math.round(dev.health) + '%';
             document.getElementById('motivationBar').style.width = Math.round(dev.motivation) + '%';
@@ -1092,6 +4918,7 @@ class DeveloperPanel {
             document.getElementById('devName').textContent = dev.name;
             document.getElementById('devAvatar').textContent = dev.mood === 'sleeping' ? '💤' : dev.role;
             document.getElementById('levelBadge').textContent = 'Level ' + dev.level;
+            document.querySelector('#btn-break .action-label').textContent = m.pomodoro.phase === 'break' ? 'End Break' : 'Break';
             
             const xpNeeded = dev.level * 100;
             const xpPercent = (dev.xp / xpNeeded) * 100;
@@ -1101,11 +4928,39 @@ class DeveloperPanel {
             if(document.getElementById('skillsModal').classList.contains('active')) renderSkills();
             if(document.getElementById('shopModal').classList.contains('active')) renderShop();
             if(document.getElementById('questsModal').classList.contains('active')) renderQuests();
+            if(document.getElementById('trophiesModal').classList.contains('active')) renderTrophies();
+            if(document.getElementById('historyView').style.display !== 'none') vscode.postMessage({ command: 'get-history' });
 
             if (!dev.tutorialCompleted && !isTutorialActive) {
               startTutorial();
             }
           }
+          if (m.command === 'catalog') {
+            SKILLS = m.skills;
+            SHOP_ITEMS = m.items;
+          }
+          if (m.command === 'history') {
+            historyDays = m.days;
+            renderHistory();
+          }
+          if (m.command === 'leaderboard') {
+            leaderboardData = m;
+            renderLeaderboard();
+          }
+          if (m.command === 'challenge-started') {
+            if (m.session.game === 'bug-hunt') startBugHunt(m.session);
+            if (m.session.game === 'speed-test') startSpeedTest(m.session);
+            if (m.session.game === 'boss') startBossBattle(m.session);
+            if (m.session.game === 'lint-boss') startLintBoss(m.session);
+            if (m.session.game === 'quiz') startQuiz(m.session);
+          }
+          if ((m.command === 'quiz-question' || m.command === 'quiz-feedback') && currentChallenge && currentChallenge.sessionId === m.sessionId) {
+            if (m.command === 'quiz-question') currentChallenge.onQuestion(m.question);
+            else currentChallenge.onFeedback(m.feedback);
+          }
+          if (m.command === 'boss-damage' && currentChallenge && currentChallenge.onDamage && currentChallenge.sessionId === m.sessionId) {
+            currentChallenge.onDamage(m.hp, m.maxHp);
+          }
           if (m.command === 'action-result' || m.command === 'challenge-result') {
             const n = document.createElement('div'); 
             n.className = 'notification'; 
@@ -1115,13 +4970,18 @@ class DeveloperPanel {
           }
         });
 
-        function startBugHunt() {
+        // The extension host issues each run and scores what we report back
+        function startChallenge(game) {
+          vscode.postMessage({ command: 'start-challenge', game });
+        }
+
+        function startBugHunt(session) {
           document.getElementById('challengeMenu').style.display = 'none';
           const area = document.getElementById('challengeArea');
           area.style.display = 'block';
           let score = 0; 
-          let time = 20;
-          area.innerHTML = '<div class="timer" id="timer">Time: 20s</div><div style="text-align:center; margin: 10px 0;">Score: <span id="score">0</span></div><div class="bug-grid" id="grid"></div>';
+          let time = session.timeLimitMs / 1000;
+          area.innerHTML = '<div class="timer" id="timer">Time: ' + time + 's</div><div style="text-align:center; margin: 10px 0;">Score: <span id="score">0</span></div><div class="bug-grid" id="grid"></div>';
           const grid = document.getElementById('grid');
           for(let i=0; i<9; i++) {
             const s = document.createElement('div'); 
@@ -1130,6 +4990,7 @@ class DeveloperPanel {
               if(s.textContent === '🐛') { 
                 s.textContent = '✅'; 
                 score += 10; 
+                vscode.postMessage({ command: 'challenge-input', sessionId: session.id });
                 document.getElementById('score').textContent = score / 10;
                 setTimeout(() => s.textContent = '', 200); 
               } 
@@ -1149,47 +5010,42 @@ class DeveloperPanel {
             }, 900);
             if(time <= 0) {
               clearInterval(interval);
-              vscode.postMessage({ command: 'challenge-completed', score });
+              vscode.postMessage({ command: 'challenge-completed', sessionId: session.id, report: {} });
               setTimeout(() => backToMenu(), 1500);
             }
           }, 1000);
           currentChallenge = { interval };
         }
 
-        function startSpeedTest() {
+        function startSpeedTest(session) {
           document.getElementById('challengeMenu').style.display = 'none';
           const area = document.getElementById('challengeArea');
           area.style.display = 'block';
-          const code = "console.log('hello');";
-          area.innerHTML = '<h4 style="margin-bottom: 15px;">Type this code:</h4><div style="background: #2d2d2d; padding: 15px; border-radius: 5px; margin: 15px 0; font-family: monospace; font-size: 16px;">' + code + '</div><input id="ti" class="modal-input" placeholder="Type here..." style="margin: 0;">';
+          const code = session.content[0];
+          area.innerHTML = '<h4 id="speedTitle" style="margin-bottom: 15px;"></h4><div id="speedCode" style="background: #2d2d2d; padding: 15px; border-radius: 5px; margin: 15px 0; font-family: monospace; font-size: 16px;"></div><input id="ti" class="modal-input" placeholder="Type here..." style="margin: 0;">';
+          document.getElementById('speedCode').textContent = code;
+          document.getElementById('speedTitle').textContent = session.language ? 'Type this line from your ' + session.language + ' code:' : 'Type this line:';
           const input = document.getElementById('ti'); 
           input.focus();
-          const startTime = Date.now();
           input.oninput = () => {
+            vscode.postMessage({ command: 'challenge-input', sessionId: session.id, value: input.value });
             if(input.value === code) {
-              const timeTaken = Date.now() - startTime;
-              const score = Math.max(300 - Math.floor(Math.max(timeTaken / 100, 0)), 20);
-              vscode.postMessage({ command: 'challenge-completed', score });
+              input.oninput = null;
+              vscode.postMessage({ command: 'challenge-completed', sessionId: session.id, report: { typed: [input.value] } });
               setTimeout(() => backToMenu(), 1500);
             }
           };
         }
 
-        function startBossBattle() {
+        function startBossBattle(session) {
           document.getElementById('challengeMenu').style.display = 'none';
           const area = document.getElementById('challengeArea');
           area.style.display = 'block';
           
+          const snippets = session.content;
+          const typed = [];
           let bossHp = 100;
-          let time = 45;
-          let score = 0;
-          
-          const snippets = [
-            "git commit -m 'fix'", "npm install", "console.log(err)", 
-            "while(true) {}", "if (err) throw err;", "return false;", 
-            "import * as fs from 'fs';", "const x = 10;", 
-            "await Promise.all([]);", "class Monster extends Bug {}"
-          ];
+          let time = session.timeLimitMs / 1000;
           
           area.innerHTML = '<div class="boss-container"><div class="timer" id="bossTimer">Time: ' + time + 's</div><div class="boss-hp-bar"><div id="bossHp" class="boss-hp-fill" style="width: 100%"></div></div><div id="bossSprite" class="boss-sprite">👾</div><div style="margin-bottom:10px; font-weight:bold;">Type to attack:</div><div id="bossCode" style="background: #2d2d2d; padding: 10px; border-radius: 5px; font-family: monospace; margin-bottom: 10px;"></div><input id="bossInput" class="modal-input" placeholder="Type code..." style="margin: 0;" autocomplete="off"></div>';
           
@@ -1198,7 +5054,7 @@ class DeveloperPanel {
           const sprite = document.getElementById('bossSprite');
           const hpBar = document.getElementById('bossHp');
           
-          let currentSnippet = snippets[Math.floor(Math.random() * snippets.length)];
+          let currentSnippet = snippets[0];
           codeDisplay.textContent = currentSnippet;
           input.focus();
           
@@ -1214,21 +5070,21 @@ class DeveloperPanel {
           
           input.oninput = () => {
             if (input.value === currentSnippet) {
-              bossHp -= 20;
+              typed.push(input.value);
+              bossHp = 100 - Math.round(typed.length * 100 / snippets.length);
               hpBar.style.width = bossHp + '%';
               sprite.classList.remove('shake');
               void sprite.offsetWidth; 
               sprite.classList.add('shake');
               input.value = '';
               
-              if (bossHp <= 0) {
+              if (typed.length === snippets.length) {
                 clearInterval(interval);
-                score = 100 + (time * 10);
                 area.innerHTML = '<h3>Victory! 🏆</h3><p>Bug Monster defeated!</p>';
-                vscode.postMessage({ command: 'challenge-completed', score });
+                vscode.postMessage({ command: 'challenge-completed', sessionId: session.id, report: { typed } });
                 setTimeout(() => backToMenu(), 2000);
               } else {
-                currentSnippet = snippets[Math.floor(Math.random() * snippets.length)];
+                currentSnippet = snippets[typed.length];
                 codeDisplay.textContent = currentSnippet;
               }
             }
@@ -1236,6 +5092,108 @@ class DeveloperPanel {
           
           currentChallenge = { interval };
         }
+
+        // The boss is the workspace's real problem list: fixing them in the editor deals the damage
+        function startLintBoss(session) {
+          document.getElementById('challengeMenu').style.display = 'none';
+          const area = document.getElementById('challengeArea');
+          area.style.display = 'block';
+          let time = session.timeLimitMs / 1000;
+          const formatTime = () => Math.floor(time / 60) + ':' + String(time % 60).padStart(2, '0');
+
+          area.innerHTML = '<div class="boss-container"><div class="timer" id="bossTimer"></div><div class="boss-hp-bar"><div id="bossHp" class="boss-hp-fill" style="width: 100%"></div></div><div id="bossSprite" class="boss-sprite">🐲</div><div style="margin-bottom:10px; font-weight:bold;">Fix these in the editor to attack:</div><div id="bossProblems" style="background: #2d2d2d; padding: 10px; border-radius: 5px; font-family: monospace; font-size: 11px; text-align: left;"></div></div>';
+          const problems = document.getElementById('bossProblems');
+          session.content.forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line;
+            problems.appendChild(row);
+          });
+          document.getElementById('bossTimer').textContent = 'Time: ' + formatTime();
+
+          const interval = setInterval(() => {
+            time--;
+            document.getElementById('bossTimer').textContent = 'Time: ' + formatTime();
+            if (time <= 0) {
+              clearInterval(interval);
+              area.innerHTML = '<h3>Game Over! 💀</h3><p>The lint debt lives on.</p>';
+              setTimeout(() => backToMenu(), 2000);
+            }
+          }, 1000);
+
+          const onDamage = (hp, maxHp) => {
+            document.getElementById('bossHp').style.width = Math.round(hp * 100 / maxHp) + '%';
+            const sprite = document.getElementById('bossSprite');
+            sprite.classList.remove('shake');
+            void sprite.offsetWidth;
+            sprite.classList.add('shake');
+            if (hp <= 0) {
+              clearInterval(interval);
+              area.innerHTML = '<h3>Victory! 🏆</h3><p>The error list is clear!</p>';
+              setTimeout(() => backToMenu(), 3000);
+            }
+          };
+          currentChallenge = { interval, sessionId: session.id, onDamage };
+        }
+
+        // The host holds the answers: we ask for one question at a time and get told how we did
+        function startQuiz(session) {
+          document.getElementById('challengeMenu').style.display = 'none';
+          const area = document.getElementById('challengeArea');
+          area.style.display = 'block';
+          area.innerHTML = '<div style="display:flex; justify-content:space-between; margin-bottom:10px;"><span id="quizProgress"></span><span class="timer" id="quizTimer"></span></div><div style="text-align:center; margin-bottom: 10px;">Score: <span id="quizScore">0</span> · Streak: <span id="quizStreak">0</span> 🔥</div><pre id="quizCode" style="background: #2d2d2d; padding: 10px; border-radius: 5px; font-family: monospace; white-space: pre-wrap; text-align: left;"></pre><div id="quizQuestion" style="font-weight:bold; margin: 10px 0;"></div><div id="quizChoices"></div><div id="quizExplanation" style="margin-top: 10px; font-size: 12px;"></div>';
+          const challenge = { interval: null, sessionId: session.id };
+
+          const answer = (choice) => {
+            clearInterval(challenge.interval);
+            document.querySelectorAll('#quizChoices button').forEach(b => b.disabled = true);
+            vscode.postMessage({ command: 'quiz-answer', sessionId: session.id, choice });
+          };
+
+          challenge.onQuestion = (q) => {
+            document.getElementById('quizProgress').textContent = 'Question ' + (q.index + 1) + '/' + q.total + ' (' + session.language + ')';
+            document.getElementById('quizCode').textContent = q.code;
+            document.getElementById('quizQuestion').textContent = q.question;
+            document.getElementById('quizExplanation').textContent = '';
+            const choices = document.getElementById('quizChoices');
+            choices.innerHTML = '';
+            q.choices.forEach((text, i) => {
+              const b = document.createElement('button');
+              b.style.cssText = 'display:block; width:100%; margin: 5px 0; text-align:left; font-family: monospace;';
+              b.textContent = text;
+              b.onclick = () => answer(i);
+              choices.appendChild(b);
+            });
+            let time = q.seconds;
+            document.getElementById('quizTimer').textContent = time + 's';
+            challenge.interval = setInterval(() => {
+              time--;
+              document.getElementById('quizTimer').textContent = time + 's';
+              if (time <= 0) answer(-1);
+            }, 1000);
+          };
+
+          challenge.onFeedback = (f) => {
+            const buttons = document.querySelectorAll('#quizChoices button');
+            buttons[f.answer].style.background = '#2e7d32';
+            document.getElementById('quizScore').textContent = f.score;
+            document.getElementById('quizStreak').textContent = f.streak;
+            const explanation = document.getElementById('quizExplanation');
+            explanation.textContent = (f.correct ? '✅ +' + f.points + ' · ' : '❌ ') + f.explanation;
+            if (f.done) {
+              setTimeout(() => backToMenu(), 4000);
+              return;
+            }
+            const next = document.createElement('button');
+            next.textContent = 'Next question';
+            next.style.cssText = 'width:100%; margin-top:10px;';
+            next.onclick = () => vscode.postMessage({ command: 'quiz-ask', sessionId: session.id });
+            explanation.appendChild(document.createElement('br'));
+            explanation.appendChild(next);
+          };
+
+          currentChallenge = challenge;
+          vscode.postMessage({ command: 'quiz-ask', sessionId: session.id });
+        }
       </script>
     </body></html>`;
   }
@@ -0,0 +1,140 @@
+import { vscode } from './vscodeStub';
+import * as assert from 'assert';
+import { test } from 'node:test';
+import { ChallengeSessions, ContentCatalog } from '../extension';
+
+const FALLBACK_LINE = "console.log('hello');";
+
+function sessions() {
+  const catalog = new ContentCatalog();
+  catalog.quizzes = [{
+    language: 'any',
+    name: 'General',
+    questions: [
+      { kind: 'output', code: 'print(1)', choices: ['1', '2'], answer: 0, explanation: 'Prints 1' },
+      { kind: 'bug', code: 'x = 1', choices: ['None', 'Typo'], answer: 0, explanation: 'No bug' }
+    ]
+  }];
+  return new ChallengeSessions(catalog);
+}
+
+/** Types `line` one key at a time, `msPerKey` apart, and returns when the last key landed. */
+function typeLine(games: ChallengeSessions, id: string, line: string, start: number, msPerKey: number) {
+  for (let i = 1; i <= line.length; i++) games.recordInput(id, line.slice(0, i), start + i * msPerKey);
+  return start + line.length * msPerKey;
+}
+
+test('Bug Hunt scores squashes the host saw, at most one per spawn', async () => {
+  const games = sessions();
+  const session = (await games.start('bug-hunt', []))!;
+  // Three real squashes plus two that came too close to the previous one
+  for (const offset of [1000, 1100, 2000, 3000, 3050]) games.recordInput(session.id, undefined, session.startedAt + offset);
+  assert.deepStrictEqual(games.finish(session.id, { typed: [] }, session.startedAt + 20000), { score: 30, game: 'bug-hunt', durationMs: 20000 });
+
+  const spammed = (await games.start('bug-hunt', []))!;
+  for (let at = 0; at < 20000; at += 250) games.recordInput(spammed.id, undefined, spammed.startedAt + at);
+  assert.strictEqual((games.finish(spammed.id, { typed: [] }, spammed.startedAt + 20000) as any).score, 200);
+});
+
+test('Bug Hunt rejects runs that ended early or late', async () => {
+  const games = sessions();
+  const early = (await games.start('bug-hunt', []))!;
+  assert.strictEqual(games.finish(early.id, { typed: [] }, early.startedAt + 5000), 'That result is not possible, so it was not rewarded.');
+  const late = (await games.start('bug-hunt', []))!;
+  assert.strictEqual(games.finish(late.id, { typed: [] }, late.startedAt + 60000), 'Time ran out before the result came in.');
+  assert.strictEqual(games.finish(late.id, { typed: [] }), 'This game is no longer running.');
+});
+
+test('Speed Test scores the pace and accuracy of the keystrokes', async () => {
+  const games = sessions();
+  const session = (await games.start('speed-test', ['typescript']))!;
+  assert.deepStrictEqual(session.content, [FALLBACK_LINE]);
+  // A typo that gets deleted again
+  games.recordInput(session.id, 'x', session.startedAt + 100);
+  games.recordInput(session.id, '', session.startedAt + 200);
+  const end = typeLine(games, session.id, FALLBACK_LINE, session.startedAt + 200, 200);
+  const outcome = games.finish(session.id, { typed: [FALLBACK_LINE] }, end) as any;
+  assert.strictEqual(outcome.wpm, Math.round(FALLBACK_LINE.length / 5 / ((end - session.startedAt) / 60000)));
+  assert.strictEqual(outcome.accuracy, (FALLBACK_LINE.length + 1) / (FALLBACK_LINE.length + 2));
+  assert.strictEqual(outcome.language, undefined);
+});
+
+test('Speed Test rejects pasted, scripted or wrong lines', async () => {
+  const games = sessions();
+  const pasted = (await games.start('speed-test', []))!;
+  games.recordInput(pasted.id, FALLBACK_LINE, pasted.startedAt + 5000);
+  assert.strictEqual(typeof games.finish(pasted.id, { typed: [FALLBACK_LINE] }, pasted.startedAt + 5000), 'string');
+
+  const scripted = (await games.start('speed-test', []))!;
+  typeLine(games, scripted.id, FALLBACK_LINE, scripted.startedAt, 5);
+  assert.strictEqual(typeof games.finish(scripted.id, { typed: [FALLBACK_LINE] }, scripted.startedAt + 5000), 'string');
+
+  const wrong = (await games.start('speed-test', []))!;
+  const end = typeLine(games, wrong.id, FALLBACK_LINE, wrong.startedAt, 200);
+  assert.strictEqual(typeof games.finish(wrong.id, { typed: ['console.log(\'bye\');'] }, end), 'string');
+});
+
+test('Boss Battle pays for the time left and rejects inhuman typing', async () => {
+  const games = sessions();
+  const session = (await games.start('boss', []))!;
+  assert.strictEqual(session.content.length, 5);
+  const chars = session.content.join('').length;
+  assert.strictEqual((games.finish(session.id, { typed: session.content }, session.startedAt + 30000) as any).score, 250);
+
+  const fast = (await games.start('boss', []))!;
+  assert.strictEqual(typeof games.finish(fast.id, { typed: fast.content }, fast.startedAt + chars * 10), 'string');
+});
+
+test('Lint Boss only takes damage from problems that existed at the start', async () => {
+  const problem = (severity: number) => ({ severity, message: 'Something is off', range: { start: { line: 0 } } });
+  const file = (name: string) => ({ toString: () => `file:///${name}`, fsPath: `/${name}` });
+  vscode.diagnostics = [[file('a.ts'), [problem(0), problem(1), problem(1)]], [file('b.ts'), [problem(2)]]];
+  const games = sessions();
+  const session = (await games.start('lint-boss', []))!;
+  vscode.diagnostics = [];
+  assert.deepStrictEqual([...session.targets!.keys()], ['file:///a.ts']);
+  const hp = session.hp!;
+
+  // A new problem in a file, fixed again, does no damage
+  assert.strictEqual(games.damage([{ uri: 'file:///a.ts', counts: { errors: 2, warnings: 2 } }], session.startedAt + 1000), undefined);
+  assert.strictEqual(games.damage([{ uri: 'file:///a.ts', counts: { errors: 1, warnings: 2 } }], session.startedAt + 2000), undefined);
+  assert.strictEqual(games.damage([{ uri: 'file:///c.ts', counts: { errors: 0, warnings: 0 } }], session.startedAt + 3000), undefined);
+  assert.ok(games.damage([{ uri: 'file:///a.ts', counts: { errors: 0, warnings: 2 } }], session.startedAt + 4000)!.hp! < hp);
+  assert.strictEqual(typeof games.finish(session.id, { typed: [] }, session.startedAt + 5000), 'string');
+
+  vscode.diagnostics = [[file('a.ts'), [problem(0)]]];
+  const won = (await games.start('lint-boss', []))!;
+  vscode.diagnostics = [];
+  assert.strictEqual(games.damage([{ uri: 'file:///a.ts', counts: { errors: 0, warnings: 0 } }], won.startedAt + 1000)!.hp, 0);
+  assert.strictEqual(typeof games.finish(won.id, { typed: [] }, won.startedAt + 2000), 'object');
+});
+
+test('Code Quiz keeps answers on the host and rewards fast streaks', async () => {
+  const games = sessions();
+  const session = (await games.start('quiz', ['go']))!;
+  assert.strictEqual(session.language, 'any');
+  const answers: number[] = [];
+  let now = session.startedAt;
+  for (let i = 0; i < 2; i++) {
+    const question = games.askQuestion(session.id, now)!;
+    assert.ok(!('answer' in question));
+    assert.strictEqual(games.askQuestion(session.id, now), undefined);
+    // Both questions' right answer is the first choice; ten seconds leave half the clock
+    now += 10000;
+    const result = games.answerQuestion(session.id, 0, now)!;
+    answers.push(result.points);
+  }
+  assert.deepStrictEqual(answers, [25, 35]);
+  assert.deepStrictEqual(games.finish(session.id, { typed: [] }, now), { score: 60, game: 'quiz', durationMs: now - session.startedAt });
+});
+
+test('Code Quiz counts late answers as wrong', async () => {
+  const games = sessions();
+  const session = (await games.start('quiz', []))!;
+  games.askQuestion(session.id, session.startedAt);
+  const result = games.answerQuestion(session.id, 0, session.startedAt + 30000)!;
+  assert.strictEqual(result.correct, false);
+  assert.strictEqual(result.points, 0);
+  // The run isn't over until every question was answered
+  assert.strictEqual(typeof games.finish(session.id, { typed: [] }, session.startedAt + 30000), 'string');
+});
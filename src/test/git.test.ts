@@ -0,0 +1,156 @@
+import { vscode } from './vscodeStub';
+import * as assert from 'assert';
+import { execFileSync } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { after, test } from 'node:test';
+import { classifyHeadChange, getCommitXp } from '../extension';
+
+const ME = 'me@example.com';
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'devgotchi-git-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+/**
+ * A throwaway repository and the slice of the git extension's Repository API the
+ * classifier uses, answered by the git CLI.
+ */
+function createRepo(name: string) {
+  const dir = path.join(root, name);
+  fs.mkdirSync(dir);
+  const git = (args: string[], author = ME) => execFileSync('git', ['-c', 'commit.gpgsign=false', ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    env: { ...process.env, GIT_AUTHOR_NAME: 'Dev', GIT_AUTHOR_EMAIL: author, GIT_COMMITTER_NAME: 'Dev', GIT_COMMITTER_EMAIL: author }
+  }).trim();
+  git(['init', '-q', '-b', 'main']);
+  git(['config', 'user.email', ME]);
+  vscode.workspace.workspaceFolders = [{ uri: { fsPath: dir } }];
+
+  const commit = (message: string, files: Record<string, string>, author?: string) => {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    }
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', message], author);
+    return git(['rev-parse', 'HEAD']);
+  };
+  const repo = {
+    rootUri: { fsPath: dir },
+    getCommit: async (hash: string) => ({
+      hash,
+      parents: git(['log', '-1', '--format=%P', hash]).split(' ').filter(Boolean),
+      authorEmail: git(['log', '-1', '--format=%ae', hash]),
+      message: git(['log', '-1', '--format=%B', hash])
+    }),
+    getMergeBase: async (a: string, b: string) => git(['merge-base', a, b]),
+    getConfig: async (key: string) => git(['config', '--get', key]),
+    getGlobalConfig: async () => ''
+  };
+  const classify = (before: string | undefined, after: string, extra: { rebasing?: boolean; behind?: [number, number]; branch?: string; now?: number } = {}, resetTrees = new Map<string, number>()) =>
+    classifyHeadChange(
+      repo,
+      { commit: before, branch: 'main', rebasing: !!extra.rebasing, behind: extra.behind?.[0] },
+      { commit: after, branch: extra.branch ?? 'main', rebasing: false, behind: extra.behind?.[1] },
+      'git',
+      resetTrees,
+      extra.now
+    );
+  return { git, commit, classify };
+}
+
+const lines = (n: number) => Array.from({ length: n }, (_, i) => `line ${i}`).join('\n') + '\n';
+
+test('an authored commit carries its size and type, without generated files', async () => {
+  const { commit, classify } = createRepo('details');
+  const first = commit('feat(core): first', { 'src/a.ts': lines(3), 'my notes.txt': lines(1), 'package-lock.json': lines(100), 'logo.bin': '\0\x01\x02' });
+  assert.deepStrictEqual(await classify(undefined, first), {
+    kind: 'commit',
+    authored: true,
+    details: { type: 'feat', linesChanged: 4, filesChanged: 3, paths: ['logo.bin', 'my notes.txt', 'src/a.ts'] }
+  });
+  const second = commit('Tweak a line', { 'src/a.ts': lines(2) + 'changed\n' });
+  assert.deepStrictEqual(await classify(first, second), {
+    kind: 'commit',
+    authored: true,
+    details: { type: undefined, linesChanged: 2, filesChanged: 1, paths: ['src/a.ts'] }
+  });
+});
+
+test('commits by someone else count as pulled', async () => {
+  const { commit, classify } = createRepo('others');
+  const first = commit('init', { 'a.txt': 'a' });
+  const theirs = commit('their change', { 'a.txt': 'b' }, 'them@example.com');
+  assert.deepStrictEqual(await classify(first, theirs), { kind: 'pull', authored: false });
+  // Catching up with the upstream is a pull even for the user's own commits
+  const mine = commit('pushed from another machine', { 'a.txt': 'c' });
+  assert.deepStrictEqual(await classify(theirs, mine, { behind: [1, 0] }), { kind: 'pull', authored: true });
+});
+
+test('tells amends and branch switches apart and ignores an unchanged HEAD', async () => {
+  const { git, commit, classify } = createRepo('amend');
+  const first = commit('init', { 'a.txt': 'a' });
+  const second = commit('work', { 'a.txt': 'b' });
+  fs.writeFileSync(path.join(root, 'amend', 'a.txt'), 'c');
+  git(['commit', '-q', '-a', '--amend', '-m', 'work, done']);
+  const amended = git(['rev-parse', 'HEAD']);
+  assert.deepStrictEqual(await classify(second, amended), { kind: 'amend', authored: true });
+  assert.deepStrictEqual(await classify(second, first, { branch: 'feature' }), { kind: 'checkout', authored: false });
+  assert.strictEqual(await classify(second, second), undefined);
+});
+
+test('committing the same change again after a reset does not pay twice', async () => {
+  const { git, commit, classify } = createRepo('recommit');
+  const first = commit('init', { 'a.txt': 'a' });
+  const second = commit('work', { 'a.txt': 'b' });
+  const resetTrees = new Map<string, number>();
+  const now = Date.now();
+  git(['reset', '-q', '--soft', 'HEAD~1']);
+  assert.deepStrictEqual(await classify(second, first, { now }, resetTrees), { kind: 'reset', authored: true });
+
+  git(['commit', '-q', '-m', 'work again']);
+  const again = git(['rev-parse', 'HEAD']);
+  assert.deepStrictEqual(await classify(first, again, { now: now + 1000 }, resetTrees), { kind: 'reset', authored: true });
+  const other = commit('other work', { 'a.txt': 'c' });
+  assert.strictEqual((await classify(again, other, { now: now + 2000 }, resetTrees))?.kind, 'commit');
+  // Once the window is over the same tree pays like any commit
+  assert.strictEqual((await classify(first, again, { now: now + 11 * 60 * 1000 }, resetTrees))?.kind, 'commit');
+});
+
+test('a rebase only pays when it rewrote the user\'s own commits', async () => {
+  const { git, commit, classify } = createRepo('rebase');
+  const base = commit('init', { 'a.txt': 'a' });
+  const mine = commit('mine', { 'mine.txt': 'm' });
+  git(['checkout', '-q', '-b', 'upstream', base]);
+  commit('upstream work', { 'up.txt': 'u' }, 'them@example.com');
+  git(['checkout', '-q', 'main']);
+  git(['rebase', '-q', 'upstream']);
+  const rebased = git(['rev-parse', 'HEAD']);
+  assert.deepStrictEqual(await classify(mine, rebased, { rebasing: true }), { kind: 'rebase', authored: true });
+  // Also when the rebase finished before its in-progress state was seen
+  assert.deepStrictEqual(await classify(mine, rebased), { kind: 'rebase', authored: true });
+  // pull --rebase catches up with the upstream
+  assert.deepStrictEqual(await classify(mine, rebased, { rebasing: true, behind: [1, 0] }), { kind: 'pull', authored: false });
+
+  git(['checkout', '-q', '-b', 'theirs', base]);
+  const theirs = commit('their branch', { 'theirs.txt': 't' }, 'them@example.com');
+  git(['rebase', '-q', 'upstream']);
+  assert.deepStrictEqual(await classify(theirs, git(['rev-parse', 'HEAD']), { rebasing: true }), { kind: 'pull', authored: false });
+});
+
+test('commit XP grows with the size of the change, up to a cap', () => {
+  assert.strictEqual(getCommitXp(50, undefined, 1), 50);
+  assert.strictEqual(getCommitXp(50, { linesChanged: 0, filesChanged: 1, paths: [] }, 1), 25);
+  assert.strictEqual(getCommitXp(50, { linesChanged: 9, filesChanged: 1, paths: [] }, 1), 50);
+  const huge = { type: 'feat', linesChanged: 1e9, filesChanged: 100, paths: [] };
+  assert.strictEqual(getCommitXp(50, huge, 1), 150);
+  assert.strictEqual(getCommitXp(50, { ...huge, linesChanged: 1e12 }, 1), 150);
+});
+
+test('fix: commits get the Bug Slayer multiplier', () => {
+  const fix = { type: 'fix', linesChanged: 9, filesChanged: 1, paths: [] };
+  assert.strictEqual(getCommitXp(50, fix, 1), 55);
+  assert.strictEqual(getCommitXp(50, fix, 1.34), 74);
+  assert.strictEqual(getCommitXp(50, { ...fix, type: 'feat' }, 1.34), 60);
+});
@@ -0,0 +1,46 @@
+import './vscodeStub';
+import * as assert from 'assert';
+import { test } from 'node:test';
+import { globToRegExp, matchesGoalFilter } from '../extension';
+
+test('* stays within a folder and ** crosses folders', () => {
+  assert.ok(globToRegExp('src/*.ts').test('src/a.ts'));
+  assert.ok(!globToRegExp('src/*.ts').test('src/lib/a.ts'));
+  assert.ok(globToRegExp('src/**/*.ts').test('src/lib/deep/a.ts'));
+  assert.ok(globToRegExp('**/*.ts').test('a.ts'));
+  assert.ok(!globToRegExp('**/*.ts').test('a.tsx'));
+  assert.ok(globToRegExp('src/**').test('src/a/b.md'));
+});
+
+test('? matches one character and braces list alternatives', () => {
+  assert.ok(globToRegExp('v?.md').test('v1.md'));
+  assert.ok(!globToRegExp('v?.md').test('v10.md'));
+  const glob = globToRegExp('{src,test}/**/*.{ts,tsx}');
+  assert.ok(glob.test('src/ui/App.tsx'));
+  assert.ok(glob.test('test/a.ts'));
+  assert.ok(!glob.test('lib/a.ts'));
+});
+
+test('other characters are literal', () => {
+  assert.ok(globToRegExp('a+b (1).ts').test('a+b (1).ts'));
+  assert.ok(!globToRegExp('a.ts').test('abts'));
+  assert.ok(globToRegExp('a,b.ts').test('a,b.ts'));
+  // An unclosed brace matches nothing
+  assert.ok(!globToRegExp('{src').test('{src'));
+});
+
+test('goal filters combine glob, language and file', () => {
+  const files = [{ path: 'src/a.ts', languageId: 'typescript' }, { path: 'README.md', languageId: 'markdown' }];
+  assert.ok(matchesGoalFilter(undefined, files));
+  assert.ok(matchesGoalFilter(undefined, undefined));
+  assert.ok(matchesGoalFilter({ glob: 'src/**' }, files));
+  assert.ok(matchesGoalFilter({ language: 'markdown' }, files));
+  assert.ok(matchesGoalFilter({ file: 'README.md' }, files));
+  // Every part of the filter must match the same file
+  assert.ok(!matchesGoalFilter({ glob: 'src/**', language: 'markdown' }, files));
+  assert.ok(!matchesGoalFilter({ language: 'python' }, files));
+});
+
+test('events without files only count for goals without a filter', () => {
+  assert.ok(!matchesGoalFilter({ language: 'typescript' }, undefined));
+});
@@ -0,0 +1,91 @@
+import './vscodeStub';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import { test } from 'node:test';
+import { ContentCatalog, validateContentPack, validateQuizPack } from '../extension';
+
+const loaded = new ContentCatalog();
+
+function pack(): any {
+  return {
+    name: 'Team pack',
+    skills: [
+      { id: 'team_spirit', name: 'Team Spirit', description: 'Focus decays slower', branch: 'focus', tier: 1, costs: [10, 20], minLevel: 1, requires: ['iron_focus'], effects: { focusDecay: -0.1 } },
+      { id: 'team_lead', name: 'Team Lead', description: 'Commits earn more XP', branch: 'git', tier: 2, costs: [40], minLevel: 3, requires: ['team_spirit'], effects: { commitXp: 0.1 } }
+    ],
+    items: [
+      { id: 'team_mug', name: 'Team Mug', description: 'A quick boost', type: 'consumable', cost: 5, restore: { energy: 10 } },
+      { id: 'team_hoodie', name: 'Team Hoodie', description: 'Looks sharp', type: 'skin', cost: 100, emoji: '🧥' }
+    ],
+    quests: [{ type: 'commit', desc: 'Ship a feature', target: 1, reward: 20, commitType: 'feat' }],
+    snippets: ['const answer = 42;']
+  };
+}
+
+test('accepts a well-formed content pack', () => {
+  assert.deepStrictEqual(validateContentPack(pack(), loaded), []);
+});
+
+test('rejects ids that clash with loaded content or within the pack', () => {
+  const clashing = pack();
+  clashing.skills[0].id = 'iron_focus';
+  clashing.items[1].id = 'team_mug';
+  assert.deepStrictEqual(validateContentPack(clashing, loaded), [
+    'skills[0].id "iron_focus" is already taken',
+    'skills[1].requires must list existing skill ids',
+    'items[0].id "team_mug" is already taken',
+    'items[1].id "team_mug" is already taken'
+  ]);
+});
+
+test('rejects unknown effects and unusable items', () => {
+  const bad = pack();
+  bad.skills[0].effects = { superSpeed: 2 };
+  bad.items[0] = { ...bad.items[0], restore: { health: 10 } };
+  bad.items[1].emoji = '';
+  bad.items.push({ id: 'team_nothing', name: 'Nothing', description: 'Does nothing', type: 'consumable', cost: 1 });
+  assert.deepStrictEqual(validateContentPack(bad, loaded), [
+    'skills[0].effects has unknown effect "superSpeed"',
+    'items[0].restore may only boost energy, focus and motivation',
+    'items[1].emoji is required for skins',
+    'items[2] is a consumable without durationMinutes or restore'
+  ]);
+});
+
+test('rejects malformed quests and snippets', () => {
+  const bad = pack();
+  bad.quests = [{ type: 'save', desc: 'Save a lot', target: 0, reward: 5, commitType: 'feat' }];
+  bad.snippets = ['x', 'const 🐛 = "this line has an emoji in it";'];
+  assert.deepStrictEqual(validateContentPack(bad, loaded), [
+    'quests[0].target must be positive',
+    'quests[0].commitType only applies to commit quests',
+    'snippets[0] must be a 12-60 character line of plain ASCII code',
+    'snippets[1] must be a 12-60 character line of plain ASCII code'
+  ]);
+  assert.deepStrictEqual(validateContentPack({ name: 'Broken', skills: {} }, loaded), ['skills must be an array']);
+});
+
+test('accepts the built-in quiz packs', () => {
+  const folder = path.join(__dirname, '..', '..', 'media', 'quizzes');
+  for (const name of fs.readdirSync(folder)) {
+    assert.deepStrictEqual(validateQuizPack(JSON.parse(fs.readFileSync(path.join(folder, name), 'utf8'))), [], name);
+  }
+});
+
+test('rejects malformed quiz questions', () => {
+  assert.deepStrictEqual(validateQuizPack({ language: 'go', name: 'Go', questions: [] }), ['questions must be a non-empty array']);
+  assert.deepStrictEqual(validateQuizPack({
+    language: 'go',
+    name: 'Go',
+    questions: [
+      { kind: 'output', code: 'fmt.Println(1)', choices: ['1', '2'], answer: 2, explanation: 'Prints 1' },
+      { kind: 'trivia', code: '', choices: ['only one'], answer: 0 }
+    ]
+  }), [
+    'questions[0].answer must be the index of a choice',
+    'questions[1].kind must be "output" or "bug"',
+    'questions[1].choices must list at least two strings',
+    'questions[1].explanation must be a string'
+  ]);
+});
@@ -0,0 +1,39 @@
+import './vscodeStub';
+import * as assert from 'assert';
+import { test } from 'node:test';
+import { RewardGuard } from '../extension';
+
+const MINUTE = 60 * 1000;
+
+test('caps each source per minute', () => {
+  const guard = new RewardGuard();
+  for (let i = 0; i < 6; i++) assert.strictEqual(guard.check('save', undefined, undefined, 1000 + i), 1);
+  assert.strictEqual(guard.check('save', undefined, undefined, 1010), 0);
+  // Other sources have their own cap
+  assert.strictEqual(guard.check('fix', undefined, undefined, 1010), 1);
+  assert.strictEqual(guard.check('save', undefined, undefined, 1000 + MINUTE), 1);
+});
+
+test('pays less for repeats on the same key, down to a floor', () => {
+  const guard = new RewardGuard();
+  const shares = Array.from({ length: 12 }, (_, i) => guard.check('fix', 'a.ts', undefined, i * 1000));
+  assert.deepStrictEqual(shares.slice(0, 3), [1, 0.75, 0.5625]);
+  assert.strictEqual(shares[11], 0.1);
+  assert.strictEqual(guard.check('fix', 'b.ts', undefined, 12000), 1);
+});
+
+test('forgets repeats after ten minutes', () => {
+  const guard = new RewardGuard();
+  guard.check('fix', 'a.ts', undefined, 0);
+  assert.strictEqual(guard.check('fix', 'a.ts', undefined, 10 * MINUTE + 1), 1);
+});
+
+test('rejects saves whose content did not change', () => {
+  const guard = new RewardGuard();
+  assert.strictEqual(guard.check('save', 'a.ts', 'hash1', 0), 1);
+  assert.strictEqual(guard.check('save', 'a.ts', 'hash1', 1000), 0);
+  assert.strictEqual(guard.check('save', 'a.ts', 'hash2', 2000), 0.75);
+  // A rejected save doesn't use up the per-minute cap
+  for (let i = 0; i < 10; i++) guard.check('save', 'a.ts', 'hash2', 3000 + i);
+  assert.strictEqual(guard.check('save', 'b.ts', 'hash1', 4000), 1);
+});
@@ -0,0 +1,91 @@
+import './vscodeStub';
+import * as assert from 'assert';
+import { test } from 'node:test';
+import { ContentCatalog, SAVE_MIGRATIONS, createDefaultDeveloper, migrateDeveloper, validateDeveloper } from '../extension';
+
+const catalog = new ContentCatalog();
+
+/** A save as written by the first release, before schema versions existed. */
+function unversionedSave(): any {
+  return {
+    energy: 80, motivation: 70, focus: 60, health: 90, xp: 40, level: 3,
+    lastUpdated: Date.now() - 1000, mood: 'productive', role: '👨‍💻', name: 'Ada', coffee: 120,
+    skills: ['caffeine_tolerance', 'retired_skill'], inventory: ['furn_chair'], quests: []
+  };
+}
+
+test('a new developer is on the current schema and valid', () => {
+  const dev = createDefaultDeveloper();
+  assert.strictEqual(dev.schemaVersion, SAVE_MIGRATIONS.length);
+  assert.deepStrictEqual(validateDeveloper(dev, catalog), []);
+});
+
+test('migrates an unversioned save to a valid current one', () => {
+  const dev = migrateDeveloper(unversionedSave());
+  assert.strictEqual(dev.schemaVersion, SAVE_MIGRATIONS.length);
+  assert.deepStrictEqual(validateDeveloper(dev, catalog), []);
+  // Old one-off skills become full ranks, unknown ones are dropped
+  assert.deepStrictEqual(dev.skills, { caffeine_tolerance: 3 });
+  // Owned furniture used to apply just by being owned
+  assert.deepStrictEqual(dev.equipped, { chair: 'furn_chair' });
+  assert.strictEqual(dev.tutorialCompleted, true);
+  assert.strictEqual(dev.dailyQuestsDay, '');
+});
+
+test('only runs the migrations a save is missing', () => {
+  const save: any = { ...createDefaultDeveloper(), schemaVersion: SAVE_MIGRATIONS.length - 1, lastDailyBonus: new Date(2026, 2, 4, 9).getTime() };
+  const profileId = save.profileId;
+  migrateDeveloper(save);
+  assert.strictEqual(save.dailyQuestsDay, '2026-03-04');
+  assert.strictEqual(save.profileId, profileId);
+});
+
+test('leaves saves from a newer version alone', () => {
+  const save: any = { schemaVersion: SAVE_MIGRATIONS.length + 1, skills: ['caffeine_tolerance'] };
+  migrateDeveloper(save);
+  assert.deepStrictEqual(save, { schemaVersion: SAVE_MIGRATIONS.length + 1, skills: ['caffeine_tolerance'] });
+});
+
+test('rejects out of range stats and impossible progress', () => {
+  const dev: any = { ...createDefaultDeveloper(), energy: 150, level: 2, xp: 200, coffee: -1 };
+  assert.deepStrictEqual(validateDeveloper(dev, catalog), [
+    'energy must be between 0 and 100',
+    'xp exceeds what the level allows',
+    'coffee must be a non-negative integer'
+  ]);
+  assert.deepStrictEqual(validateDeveloper([], catalog), ['Save is not an object']);
+});
+
+test('checks skills and items against the catalog but keeps unknown ids', () => {
+  const dev: any = createDefaultDeveloper();
+  dev.skills = { caffeine_tolerance: 3, from_a_pack: 7 };
+  dev.inventory = ['furn_chair', 'pack_item'];
+  dev.equipped = { chair: 'furn_chair', desk: 'pack_item' };
+  assert.deepStrictEqual(validateDeveloper(dev, catalog), []);
+
+  dev.skills = { caffeine_tolerance: 4 };
+  dev.equipped = { desk: 'furn_chair' };
+  assert.deepStrictEqual(validateDeveloper(dev, catalog), [
+    'skills contains invalid ranks',
+    'equipped contains items that are not owned or in the wrong slot'
+  ]);
+});
+
+test('rejects quests that pay more than their template', () => {
+  const dev: any = createDefaultDeveloper();
+  const quest = { id: 'q1', type: 'save', description: 'Save Master: Save 30 files', target: 30, progress: 0, reward: 15, completed: false };
+  dev.quests = [quest];
+  assert.deepStrictEqual(validateDeveloper(dev, catalog), []);
+  dev.quests = [{ ...quest, reward: 1500 }];
+  assert.deepStrictEqual(validateDeveloper(dev, catalog), ['quests don\'t match their templates']);
+  // Daily quests from a pack that isn't loaded here can't be checked
+  dev.quests = [{ ...quest, description: 'From a pack', reward: 1500 }];
+  assert.deepStrictEqual(validateDeveloper(dev, catalog), []);
+  dev.weeklyQuests = [{ ...quest, description: 'From a pack' }];
+  assert.deepStrictEqual(validateDeveloper(dev, catalog), ['weeklyQuests don\'t match their templates']);
+});
+
+test('rejects a daily bonus from the future', () => {
+  const dev: any = { ...createDefaultDeveloper(), lastDailyBonus: Date.now() + 24 * 60 * 60 * 1000 };
+  assert.deepStrictEqual(validateDeveloper(dev, catalog), ['lastDailyBonus is in the future']);
+});
@@ -0,0 +1,44 @@
+import * as Module from 'module';
+import * as path from 'path';
+
+/**
+ * Just enough of the `vscode` module to load the extension outside the editor.
+ * Tests can set `diagnostics` and `workspaceFolders` to shape what the game sees.
+ */
+export const vscode = {
+  DiagnosticSeverity: { Error: 0, Warning: 1, Information: 2, Hint: 3 },
+  FileType: { Unknown: 0, File: 1, Directory: 2, SymbolicLink: 64 },
+  StatusBarAlignment: { Left: 1, Right: 2 },
+  Uri: {
+    file: (fsPath: string) => ({ fsPath, path: fsPath, toString: () => `file://${fsPath}` }),
+    joinPath: (base: { fsPath: string }, ...segments: string[]) => vscode.Uri.file(path.join(base.fsPath, ...segments))
+  },
+  diagnostics: [] as [{ toString(): string }, { severity: number; message: string; range: { start: { line: number } } }[]][],
+  languages: {
+    getDiagnostics: () => vscode.diagnostics
+  },
+  workspace: {
+    workspaceFolders: undefined as { uri: { fsPath: string } }[] | undefined,
+    // Like the real one, paths outside every workspace folder come back unchanged
+    asRelativePath: (pathOrUri: string | { fsPath: string }) => {
+      const fsPath = typeof pathOrUri === 'string' ? pathOrUri : pathOrUri.fsPath;
+      const folder = vscode.workspace.workspaceFolders?.find(f => fsPath.startsWith(f.uri.fsPath + path.sep));
+      return folder ? path.relative(folder.uri.fsPath, fsPath).split(path.sep).join('/') : fsPath;
+    },
+    findFiles: async () => [],
+    getConfiguration: () => ({ get: <T>(_key: string, defaultValue: T) => defaultValue })
+  },
+  window: {
+    showInformationMessage: async () => undefined,
+    showWarningMessage: async () => undefined,
+    showErrorMessage: async () => undefined,
+    setStatusBarMessage: () => ({ dispose() {} })
+  }
+};
+
+// The extension does `import * as vscode from 'vscode'`, which only exists inside the editor
+const loader = Module as any;
+const load = loader._load;
+loader._load = function (this: unknown, request: string, ...rest: unknown[]) {
+  return request === 'vscode' ? vscode : load.call(this, request, ...rest);
+};